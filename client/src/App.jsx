@@ -1,5 +1,6 @@
-import { useState, useEffect, useRef, useCallback } from "react";
-import { v4 as uuidv4 } from 'uuid';
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { io } from "socket.io-client";
+import { LANGUAGES, createTranslator, loadLanguage, saveLanguage } from "./i18n";
 
 // Determine the API server URL
 const getApiBaseUrl = () => {
@@ -14,10 +15,78 @@ const getApiBaseUrl = () => {
 };
 
 const API_BASE_URL = getApiBaseUrl();
+// Socket.IO lives on the same server, outside the /api prefix
+const SOCKET_URL = API_BASE_URL.replace(/\/api$/, "");
 console.log("Connecting to API server at:", API_BASE_URL);
 
-// Polling interval (how often the client asks the server for updates)
+// { name, roomCode, playerId, sessionToken } of the last room joined, so a refresh resumes the same player
+const SESSION_STORAGE_KEY = 'outofcontextSession';
+
+const loadSavedSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Polling interval (fallback only: used while the socket isn't connected)
 const POLLING_INTERVAL_MS = 1500;
+// How long to wait for the server to acknowledge a socket action
+const SOCKET_ACK_TIMEOUT_MS = 5000;
+// How often the join screen refreshes its list of public rooms
+const ROOM_LIST_INTERVAL_MS = 5000;
+// Adds newly received chat messages to the ones we have. The server may send only the
+// messages after the last id we saw; anything older than chatStartId is gone on the server too.
+const mergeChat = (current, incoming, chatStartId) => {
+  const firstIncomingId = incoming[0]?.id ?? Infinity;
+  return [...current.filter(m => m.id >= chatStartId && m.id < firstIncomingId), ...incoming];
+};
+
+// Matches the server's chat limit (server/chat.js) so long messages are cut off while typing
+const CHAT_MAX_LENGTH = 200;
+
+// How often to tell the server we're still here while on the socket (polls count on their own)
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// Numeric room settings shown in the lobby (word packs have their own picker), labelled "setting.<key>"
+const SETTING_FIELDS = [
+  'maxRounds',
+  'spyCount',
+  'voteThresholdPercent',
+  'civilianPoints',
+  'spyPoints',
+  'spyGuessPoints',
+  'bonusPoints',
+  'discussionSeconds',
+  'votingSeconds',
+  'turnSeconds',
+  'discussionLaps',
+];
+
+// Room settings picked from a list rather than typed in, each option labelled "<key>.<value>":
+// game mode (classic spies know they have no word, undercover players get a similar one),
+// how a tied vote is settled, whether votes are public while the ballot is open,
+// and the scoring rule set (see server/scoring.js)
+const SETTING_CHOICE_FIELDS = [
+  { key: 'mode', options: ['classic', 'undercover'] },
+  { key: 'tiePolicy', options: ['runoff', 'spyWins', 'hostDecides'] },
+  { key: 'ballot', options: ['secret', 'open'] },
+  { key: 'scoring', options: ['classic', 'unanimousBonus', 'spySteals'] },
+];
+
+// Badges on the player chips while a ballot is open, titled "voteStatus.<status>"
+const VOTE_STATUS_ICONS = {
+  pending: '⏳',
+  voted: '✅',
+  abstained: '🚫',
+};
+
+// Who can find a new room: "public" ones are listed on the join screen, labelled "visibility.<value>"
+const ROOM_VISIBILITIES = ['public', 'private'];
+
+// Game-over summary: medals for the top three ranks; awards are labelled "award.<id>"
+const PODIUM_MEDALS = ['🥇', '🥈', '🥉'];
 
 // --- NEW: Color Palette ---
 const colors = {
@@ -35,29 +104,85 @@ const colors = {
 
 
 export default function App() {
-  const [name, setName] = useState("");
-  const [roomCode, setRoomCode] = useState("");
+  const [language, setLanguage] = useState(loadLanguage);
+  const t = useMemo(() => createTranslator(language), [language]);
+  // The connection callbacks read the translator from here, so switching language
+  // doesn't tear down the socket and subscribe again
+  const tRef = useRef(t);
+  useEffect(() => {
+    tRef.current = t;
+  }, [t]);
+  const [savedSession] = useState(loadSavedSession);
+  const [name, setName] = useState(savedSession?.name || "");
+  const [roomCode, setRoomCode] = useState(savedSession?.roomCode || "");
   const [inRoom, setInRoom] = useState(false);
-  const [myPlayerId, setMyPlayerId] = useState(() => localStorage.getItem('myPlayerId') || uuidv4());
+  const [myPlayerId, setMyPlayerId] = useState(savedSession?.playerId || null);
+  const [sessionToken, setSessionToken] = useState(savedSession?.sessionToken || null);
   const [myRole, setMyRole] = useState(null);
   const [myWord, setMyWord] = useState(null);
   const [chat, setChat] = useState([]);
   const [msg, setMsg] = useState("");
 
   const [players, setPlayers] = useState([]);
+  const [spectators, setSpectators] = useState([]);
+  const [isSpectator, setIsSpectator] = useState(false); // Watching: no role, no word, no vote
+  const [watchOnly, setWatchOnly] = useState(false); // Join as a spectator even when the game hasn't started
+  const [roomPassword, setRoomPassword] = useState("");
+  const [passwordRequired, setPasswordRequired] = useState(false); // The room we tried to join asked for a password
+  const [publicRooms, setPublicRooms] = useState([]); // Lobby browser: public rooms whose game hasn't started
+  const [maxPlayers, setMaxPlayers] = useState(null); // The server's seat limit per room
+  const [newRoomVisibility, setNewRoomVisibility] = useState("public");
+  const [newRoomPassword, setNewRoomPassword] = useState("");
+  const [access, setAccess] = useState(null); // { visibility, hasPassword } of the room we're in
   const [gameStarted, setGameStarted] = useState(false);
   const [currentRound, setCurrentRound] = useState(0);
   const [roundState, setRoundState] = useState("waiting");
-  const [lastRoundResult, setLastRoundResult] = useState("");
-  const [selectedVoteTarget, setSelectedVoteTarget] = useState("");
+  const [roundResult, setRoundResult] = useState(null); // The finished round's record while roundState is "reveal"
+  const [selectedVoteTargets, setSelectedVoteTargets] = useState([]); // One suspect per spy at most
+  const [spyCountThisRound, setSpyCountThisRound] = useState(1);
+  const [tieBreak, setTieBreak] = useState(null); // { policy, candidates, seats } while a tie is being settled
+  const [myVote, setMyVote] = useState(null); // My current ballot: target ids, [] when abstained, null before voting
+  const [ballots, setBallots] = useState(null); // { voterId: [targetIds] } with an open ballot
+  const [fellowSpies, setFellowSpies] = useState(null); // Other spies, only if I'm a spy who asked to know
+  const [knowsFellowSpies, setKnowsFellowSpies] = useState(false);
   const [discussionTurnsString, setDiscussionTurnsString] = useState(""); // Holds the string
+  const [discussion, setDiscussion] = useState(null); // { turns, currentTurnIndex, lap, laps, turnEndsAt } while playing
+  const [wordPacks, setWordPacks] = useState({ available: [] });
+  const [settings, setSettings] = useState(null); // Room settings, host-editable in the lobby
+  const [settingsDraft, setSettingsDraft] = useState(null); // Host's unsaved edits
+  const [spyGuess, setSpyGuess] = useState(null); // { spyIds, pendingSpyIds, options } during the spyGuess phase
+  const [guessText, setGuessText] = useState("");
+  const [phaseEndsAt, setPhaseEndsAt] = useState(null); // Server deadline for the current phase
+  const [clockOffset, setClockOffset] = useState(0); // serverTime - local time, to sync countdowns
+  const [now, setNow] = useState(() => Date.now());
+
+  const [socketConnected, setSocketConnected] = useState(false);
+  const [moderationMenuFor, setModerationMenuFor] = useState(null); // Player or spectator id whose host menu is open
+  const [matchHistory, setMatchHistory] = useState([]); // The room's past matches, newest last
+  const [openMatchId, setOpenMatchId] = useState(null); // Past match whose rounds are shown
+  const [finalResults, setFinalResults] = useState(null); // Game-over summary from the server
+  const [dismissedResultsId, setDismissedResultsId] = useState(null); // Match whose summary this player closed
 
   const chatRef = useRef(null);
+  const socketRef = useRef(null);
+  const rejoinInFlightRef = useRef(false);
+  const autoRejoinAttemptedRef = useRef(false);
+  const lastUpdateRef = useRef(null); // lastUpdateTimestamp of the state we hold, so unchanged polls get a 304
+  const lastChatIdRef = useRef(null); // Newest chat message we hold, so polls only fetch newer ones
+
+  // Persist the session across refreshes
+  useEffect(() => {
+    if (inRoom && myPlayerId && sessionToken) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ name, roomCode, playerId: myPlayerId, sessionToken }));
+    }
+  }, [inRoom, name, roomCode, myPlayerId, sessionToken]);
 
-  // Persist myPlayerId across refreshes
+  // Page language and direction follow the chosen language
   useEffect(() => {
-    localStorage.setItem('myPlayerId', myPlayerId);
-  }, [myPlayerId]);
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+    saveLanguage(language);
+  }, [language]);
 
   // Scroll chat to bottom
   useEffect(() => {
@@ -66,168 +191,441 @@ export default function App() {
     }
   }, [chat]);
 
-  // --- API Calls (unchanged from previous version) ---
+  // Applies a full room state, whether it came from a poll or a socket push
+  const applyRoomState = useCallback((state) => {
+    setPlayers(state.players);
+    setSpectators(state.spectators);
+    setIsSpectator(state.isSpectator);
+    setGameStarted(state.gameStarted);
+    setCurrentRound(state.currentRound);
+    setRoundState(state.roundState);
+    setMyRole(state.myRole);
+    setMyWord(state.myWord);
+    setChat(current => mergeChat(current, state.chat, state.chatStartId));
+    lastUpdateRef.current = state.lastUpdateTimestamp;
+    if (state.chat.length > 0) lastChatIdRef.current = state.chat[state.chat.length - 1].id;
+    setDiscussionTurnsString(state.discussionTurnsString);
+    setDiscussion(state.discussion);
+    setWordPacks(state.wordPacks);
+    setSettings(state.settings);
+    setAccess(state.access);
+    setSpyGuess(state.spyGuess);
+    setRoundResult(state.roundResult);
+    setSpyCountThisRound(state.spyCountThisRound);
+    setTieBreak(state.tieBreak);
+    setMyVote(state.myVote);
+    setBallots(state.ballots);
+    setFellowSpies(state.fellowSpies);
+    setKnowsFellowSpies(state.knowsFellowSpies);
+    setPhaseEndsAt(state.phaseEndsAt);
+    setFinalResults(state.finalResults);
+    setClockOffset(state.serverTime - Date.now());
+  }, []);
+
+  // Countdown tick, only while the current phase or question turn has a deadline
+  const turnEndsAt = discussion?.turnEndsAt ?? null;
+  useEffect(() => {
+    if (!phaseEndsAt && !turnEndsAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [phaseEndsAt, turnEndsAt]);
+
+  // --- API Calls ---
+
+  // Takes over the room from a successful join or create response
+  const enterRoom = useCallback((data) => {
+    setRoomCode(data.roomCode);
+    setMyPlayerId(data.playerId);
+    setSessionToken(data.sessionToken);
+    setInRoom(true);
+    // Start from the full state: nothing from a previous room carries over
+    setChat([]);
+    lastUpdateRef.current = null;
+    lastChatIdRef.current = null;
+    applyRoomState(data.roomState);
+  }, [applyRoomState]);
+
+  // Joins a room, or resumes our player in it when the session token is still valid.
+  // Resolves to null on success, or the server's error body ({ error, passwordRequired? }).
+  const requestJoin = useCallback(async (joinName, joinRoomCode, token, { spectate = false, password = "" } = {}) => {
+    const response = await fetch(`${API_BASE_URL}/join-room`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: joinName, room: joinRoomCode, sessionToken: token, spectate, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) return data;
+
+    enterRoom(data);
+    return null;
+  }, [enterRoom]);
+
+  // Forgets the room locally: after leaving, or when the server says we were removed
+  const exitRoom = useCallback(() => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setInRoom(false);
+    setMyPlayerId(null);
+    setSessionToken(null);
+    setMyRole(null);
+    setMyWord(null);
+    setModerationMenuFor(null);
+  }, []);
+
+  const handleRemoved = useCallback((reason) => {
+    if (reason === "left") {
+      exitRoom();
+      return;
+    }
+    alert(tRef.current(`room.${reason}`)); // kicked, banned or expired
+    exitRoom();
+  }, [exitRoom]);
+
+  // Silent rejoin after a refresh or when the server stops recognising our player id
+  const rejoin = useCallback(async () => {
+    if (rejoinInFlightRef.current) return;
+    rejoinInFlightRef.current = true;
+    try {
+      const error = await requestJoin(name, roomCode, sessionToken);
+      if (error) {
+        console.error("Failed to rejoin room:", error.error);
+        // The room is gone for good: forget it rather than retrying
+        if (error.reason) handleRemoved(error.reason);
+        // Our session no longer resumes us and the room is locked: retrying can't
+        // get in, so drop the session and ask for the password on the join form
+        if (error.passwordRequired) {
+          exitRoom();
+          setPasswordRequired(true);
+        }
+      }
+    } catch (error) {
+      console.error("Failed to rejoin room:", error);
+    } finally {
+      rejoinInFlightRef.current = false;
+    }
+  }, [name, roomCode, sessionToken, requestJoin, handleRemoved, exitRoom]);
+
+  // Resume the saved session once on load
+  useEffect(() => {
+    if (autoRejoinAttemptedRef.current || inRoom || !sessionToken || !name || !roomCode) return;
+    autoRejoinAttemptedRef.current = true;
+    rejoin();
+  }, [inRoom, sessionToken, name, roomCode, rejoin]);
+
   const fetchGameState = useCallback(async () => {
     if (!inRoom || !roomCode || !myPlayerId) return;
 
     try {
-      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/state/${myPlayerId}`);
+      const query = new URLSearchParams();
+      if (lastUpdateRef.current !== null) query.set("since", lastUpdateRef.current);
+      if (lastChatIdRef.current !== null) query.set("sinceChatId", lastChatIdRef.current);
+      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/state?${query}`, {
+        headers: { Authorization: `Bearer ${sessionToken}` },
+      });
+      if (response.status === 304) return; // Nothing changed since our last state
       if (!response.ok) {
         const errorData = await response.json();
         console.error("Error fetching game state:", errorData.error);
         if (response.status === 401) {
-            alert("Your player session has expired or you've been removed. Please rejoin.");
-            setInRoom(false);
-            setMyPlayerId(uuidv4());
-            localStorage.removeItem('myPlayerId');
+            rejoin();
+        } else if (errorData.reason) { // Removed from the room, or the room expired
+            handleRemoved(errorData.reason);
         }
         return;
       }
-      const state = await response.json();
-
-      setPlayers(state.players);
-      setGameStarted(state.gameStarted);
-      setCurrentRound(state.currentRound);
-      setRoundState(state.roundState);
-      setMyRole(state.myRole);
-      setMyWord(state.myWord);
-      setChat(state.chat);
-      setDiscussionTurnsString(state.discussionTurnsString);
+      applyRoomState(await response.json());
 
     } catch (error) {
       console.error("Failed to fetch game state:", error);
     }
-  }, [inRoom, roomCode, myPlayerId]);
+  }, [inRoom, roomCode, myPlayerId, sessionToken, applyRoomState, rejoin, handleRemoved]);
+
+  // Socket Effect: subscribe to pushed room state while in a room
+  useEffect(() => {
+    if (!inRoom || !roomCode || !myPlayerId) return;
+
+    const socket = io(SOCKET_URL);
+    socketRef.current = socket;
+
+    socket.on("connect", () => {
+      socket.emit("subscribe", { roomCode, sessionToken }, (result) => {
+        if (result.status !== 200) {
+          console.error("Socket subscription rejected:", result.body.error);
+          if (result.status === 401) rejoin();
+          if (result.reason) handleRemoved(result.reason);
+          return;
+        }
+        setSocketConnected(true);
+      });
+    });
+    socket.on("disconnect", () => setSocketConnected(false));
+    socket.on("connect_error", (error) => {
+      console.warn("Socket unavailable, falling back to polling:", error.message);
+      setSocketConnected(false);
+    });
+    socket.on("room-state", applyRoomState);
+    socket.on("removed", ({ reason }) => handleRemoved(reason));
+
+    const heartbeat = setInterval(() => {
+      if (socket.connected) socket.emit("heartbeat");
+    }, HEARTBEAT_INTERVAL_MS);
 
-  // Polling Effect
+    return () => {
+      clearInterval(heartbeat);
+      socket.disconnect();
+      socketRef.current = null;
+      setSocketConnected(false);
+    };
+  }, [inRoom, roomCode, myPlayerId, sessionToken, applyRoomState, rejoin, handleRemoved]);
+
+  // Polling Effect (fallback while the socket is down)
   useEffect(() => {
-    if (inRoom && roomCode && myPlayerId) {
+    if (inRoom && roomCode && myPlayerId && !socketConnected) {
       const interval = setInterval(fetchGameState, POLLING_INTERVAL_MS);
       return () => clearInterval(interval);
     }
-  }, [inRoom, roomCode, myPlayerId, fetchGameState]);
+  }, [inRoom, roomCode, myPlayerId, socketConnected, fetchGameState]);
+
+  // Past matches, refreshed whenever the room is back in the lobby
+  useEffect(() => {
+    if (!inRoom || !roomCode || gameStarted) return;
+    fetch(`${API_BASE_URL}/room/${roomCode}/history`)
+      .then(response => response.ok ? response.json() : { matches: [] })
+      .then(data => setMatchHistory(data.matches))
+      .catch(error => console.error("Failed to fetch match history:", error));
+  }, [inRoom, roomCode, gameStarted]);
+
+  // Public rooms for the join screen, refreshed while we're not in a room
+  useEffect(() => {
+    if (inRoom) return;
+    const loadPublicRooms = () => fetch(`${API_BASE_URL}/rooms`)
+      .then(response => response.ok ? response.json() : { rooms: [], maxPlayers: null })
+      .then(data => {
+        setPublicRooms(data.rooms);
+        setMaxPlayers(data.maxPlayers);
+      })
+      .catch(error => console.error("Failed to fetch public rooms:", error));
+    loadPublicRooms();
+    const interval = setInterval(loadPublicRooms, ROOM_LIST_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [inRoom]);
+
+  // Sends a room action over the socket when connected, otherwise over REST.
+  // Either way the server acts as the player our session token belongs to.
+  // Resolves to { ok, data } either way.
+  const sendRoomAction = useCallback(async (action, body = {}, method = "POST") => {
+    const socket = socketRef.current;
+    if (socket?.connected) {
+      const result = await socket.timeout(SOCKET_ACK_TIMEOUT_MS).emitWithAck("action", { type: action, payload: body });
+      return { ok: result.status === 200, data: result.body };
+    }
+
+    const response = await fetch(`${API_BASE_URL}/room/${roomCode}/${action}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, sessionToken }),
+    });
+    return { ok: response.ok, data: await response.json() };
+  }, [roomCode, sessionToken]);
+
+  // After a successful action the socket pushes the new state; only polling needs a nudge
+  const refreshAfterAction = () => {
+    if (!socketConnected) fetchGameState();
+  };
+
+
+  const joinRoom = async (code = roomCode, spectate = watchOnly) => {
+    if (!name || !code) {
+        alert(t('errors.enterNameAndRoom'));
+        return;
+    }
 
+    try {
+      const error = await requestJoin(name, code, sessionToken, { spectate, password: roomPassword });
+      if (!error) {
+        setRoomPassword("");
+        setPasswordRequired(false);
+        return;
+      }
+      if (error.passwordRequired) {
+        setRoomCode(code);
+        setPasswordRequired(true);
+      }
+      if (error.roomFull) {
+        // No seat left, but watching is always possible
+        if (confirm(t('join.roomFull'))) joinRoom(code, true);
+        return;
+      }
+      alert(t('errors.rejected', { action: t('action.joinRoom'), error: error.error }));
+    } catch (error) {
+      console.error("Failed to join room:", error);
+      alert(t('errors.failed', { action: t('action.joinRoom') }));
+    }
+  };
 
-  const joinRoom = async () => {
-    if (!name || !roomCode) {
-        alert("Please enter both your name and a room code.");
+  // Opens a new room under a server-picked code, with us as its host
+  const createRoom = async () => {
+    if (!name) {
+        alert(t('errors.enterName'));
         return;
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/join-room`, {
+      const response = await fetch(`${API_BASE_URL}/create-room`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name, room: roomCode, playerId: myPlayerId }),
+        body: JSON.stringify({ name, visibility: newRoomVisibility, password: newRoomPassword }),
       });
-
+      const data = await response.json();
       if (!response.ok) {
-        const errorData = await response.json();
-        alert(`Error joining room: ${errorData.error}`);
+        alert(t('errors.rejected', { action: t('action.createRoom'), error: data.error }));
         return;
       }
-
-      const data = await response.json();
-      setMyPlayerId(data.playerId);
-      setInRoom(true);
-      setPlayers(data.roomState.players);
-      setGameStarted(data.roomState.gameStarted);
-      setCurrentRound(data.roomState.currentRound);
-      setRoundState(data.roomState.roundState);
-      setMyRole(data.roomState.myRole);
-      setMyWord(data.roomState.myWord);
-      setChat(data.roomState.chat);
-      setDiscussionTurnsString(data.roomState.discussionTurnsString); // Set initial
-      fetchGameState();
-
+      setNewRoomPassword("");
+      enterRoom(data);
     } catch (error) {
-      console.error("Failed to join room:", error);
-      alert("Failed to join room. Please try again.");
+      console.error("Failed to create room:", error);
+      alert(t('errors.failed', { action: t('action.createRoom') }));
     }
   };
 
   const startGame = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/start-game`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ playerId: myPlayerId }),
-      });
+      const { ok, data } = await sendRoomAction("start-game");
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        alert(`Error starting game: ${errorData.error}`);
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.startGame'), error: data.error }));
       } else {
-        fetchGameState();
+        refreshAfterAction();
       }
     } catch (error) {
       console.error("Failed to start game:", error);
-      alert("Failed to start game. Please try again.");
+      alert(t('errors.failed', { action: t('action.startGame') }));
     }
   };
 
   const startVote = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/start-vote`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ playerId: myPlayerId }),
-      });
+      const { ok, data } = await sendRoomAction("start-vote");
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        alert(`Error starting vote: ${errorData.error}`);
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.startVote'), error: data.error }));
       } else {
-        fetchGameState();
+        refreshAfterAction();
       }
     } catch (error) {
       console.error("Failed to start vote:", error);
-      alert("Failed to start vote. Please try again.");
+      alert(t('errors.failed', { action: t('action.startVote') }));
     }
   };
 
-  const castVote = async () => {
-    if (!selectedVoteTarget) {
-      alert("Please select a player to vote for.");
+  // Voting again replaces my earlier vote; abstain = true casts an empty ballot
+  const castVote = async (abstain = false) => {
+    if (!abstain && selectedVoteTargets.length === 0) {
+      alert(t('errors.selectVote'));
       return;
     }
     try {
-      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/cast-vote`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ voterId: myPlayerId, targetPlayerId: selectedVoteTarget }),
-      });
+      const ballot = abstain ? { abstain: true } : { targetPlayerIds: selectedVoteTargets };
+      const { ok, data } = await sendRoomAction("cast-vote", ballot);
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        alert(`Error casting vote: ${errorData.error}`);
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.castVote'), error: data.error }));
       } else {
-        setSelectedVoteTarget("");
-        fetchGameState();
+        setSelectedVoteTargets([]);
+        refreshAfterAction();
       }
     } catch (error) {
       console.error("Failed to cast vote:", error);
-      alert("Failed to cast vote. Please try again.");
+      alert(t('errors.failed', { action: t('action.castVote') }));
+    }
+  };
+
+  // With several spies a vote may mark several suspects, up to the number of spies
+  const toggleVoteTarget = (playerId) => {
+    setSelectedVoteTargets(current => {
+      if (current.includes(playerId)) return current.filter(id => id !== playerId);
+      return current.length < maxVoteTargets ? [...current, playerId] : current;
+    });
+  };
+
+  const saveSpyPreference = async (knowFellowSpies) => {
+    try {
+      const { ok, data } = await sendRoomAction("spy-preference", { knowFellowSpies });
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.savePreference'), error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to save preference:", error);
+      alert(t('errors.failed', { action: t('action.savePreference') }));
+    }
+  };
+
+  // Host only, when the tie policy leaves the tie to them
+  const breakTie = async () => {
+    try {
+      const { ok, data } = await sendRoomAction("break-tie", { targetPlayerIds: selectedVoteTargets });
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.breakTie'), error: data.error }));
+      } else {
+        setSelectedVoteTargets([]);
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to break tie:", error);
+      alert(t('errors.failed', { action: t('action.breakTie') }));
+    }
+  };
+
+  // A caught spy's last chance: either a multiple-choice option or free text
+  const submitSpyGuess = async (guess) => {
+    if (!guess.trim()) return;
+    try {
+      const { ok, data } = await sendRoomAction("spy-guess", { guess });
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.submitGuess'), error: data.error }));
+      } else {
+        setGuessText("");
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to submit guess:", error);
+      alert(t('errors.failed', { action: t('action.submitGuess') }));
+    }
+  };
+
+  // Host only: leave the reveal for the next round (or the final results)
+  const continueRound = async () => {
+    try {
+      const { ok, data } = await sendRoomAction("continue");
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.continue'), error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to continue:", error);
+      alert(t('errors.failed', { action: t('action.continue') }));
     }
   };
 
   const endRound = async () => {
     try {
-        const response = await fetch(`${API_BASE_URL}/room/${roomCode}/end-round`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ playerId: myPlayerId }),
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            alert(`Error ending round: ${errorData.error}`);
+        const { ok, data } = await sendRoomAction("end-round");
+
+        if (!ok) {
+            alert(t('errors.rejected', { action: t('action.endRound'), error: data.error }));
         } else {
-            fetchGameState();
+            refreshAfterAction();
         }
     } catch (error) {
         console.error("Failed to end round:", error);
-        alert("Failed to end round. Please try again.");
+        alert(t('errors.failed', { action: t('action.endRound') }));
     }
   };
 
@@ -236,22 +634,142 @@ export default function App() {
     if (!msg.trim()) return;
 
     try {
-      const response = await fetch(`${API_BASE_URL}/room/${roomCode}/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name, msg }),
-      });
+      const { ok, data } = await sendRoomAction("chat", { msg });
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        alert(`Error sending message: ${errorData.error}`);
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.sendMessage'), error: data.error }));
       } else {
         setMsg("");
-        fetchGameState();
+        refreshAfterAction();
       }
     } catch (error) {
       console.error("Failed to send message:", error);
-      alert("Failed to send message. Please try again.");
+      alert(t('errors.failed', { action: t('action.sendMessage') }));
+    }
+  };
+
+  // Sends only the changed fields; the server validates each one
+  const saveSettings = async (changes) => {
+    try {
+      const { ok, data } = await sendRoomAction("settings", { settings: changes }, "PATCH");
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.updateSettings'), error: data.error }));
+      } else {
+        if (changes === settingsDraft) setSettingsDraft(null);
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to update settings:", error);
+      alert(t('errors.failed', { action: t('action.updateSettings') }));
+    }
+  };
+
+  const toggleWordPack = (packId) => {
+    const selectedIds = settings.wordPackIds.includes(packId)
+      ? settings.wordPackIds.filter(id => id !== packId)
+      : [...settings.wordPackIds, packId];
+    saveSettings({ wordPackIds: selectedIds });
+  };
+
+  const editSetting = (key, value) => {
+    setSettingsDraft(draft => ({ ...draft, [key]: value }));
+  };
+
+  // Custom packs are uploaded as raw JSON or CSV text; the server parses and validates them
+  const uploadWordPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow re-uploading the same file after fixing it
+    if (!file) return;
+
+    const format = file.name.toLowerCase().endsWith(".csv") ? "csv" : "json";
+    try {
+      const content = await file.text();
+      const { ok, data } = await sendRoomAction("word-packs/custom", {
+        format,
+        content,
+        name: file.name.replace(/\.[^.]+$/, ""),
+      });
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.uploadPack'), error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to upload word pack:", error);
+      alert(t('errors.failed', { action: t('action.uploadPack') }));
+    }
+  };
+
+  const secondsLeft = phaseEndsAt ? Math.max(0, Math.ceil((phaseEndsAt - (now + clockOffset)) / 1000)) : null;
+  const turnSecondsLeft = turnEndsAt ? Math.max(0, Math.ceil((turnEndsAt - (now + clockOffset)) / 1000)) : null;
+
+  // The current asker (or the host) hands the question on
+  const advanceTurn = async () => {
+    try {
+      const { ok, data } = await sendRoomAction("advance-turn");
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.advanceTurn'), error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to advance turn:", error);
+      alert(t('errors.failed', { action: t('action.advanceTurn') }));
+    }
+  };
+
+  const leaveRoom = async () => {
+    if (!confirm(t('room.leaveConfirm'))) return;
+    try {
+      const { ok, data } = await sendRoomAction("leave");
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.leaveRoom'), error: data.error }));
+      } else {
+        exitRoom();
+      }
+    } catch (error) {
+      console.error("Failed to leave room:", error);
+      alert(t('errors.failed', { action: t('action.leaveRoom') }));
+    }
+  };
+
+  // Host moderation: action is "kick", "ban" or, for a spectator between games, "promote"
+  const moderatePlayer = async (action, target) => {
+    setModerationMenuFor(null);
+    if (action === "ban" && !confirm(t('moderation.banConfirm', { name: target.name }))) return;
+    const roomAction = action === "promote" ? "promote-spectator" : action;
+    const actionLabel = t(action === "promote" ? 'action.promoteSpectator' : 'action.removePlayer');
+    try {
+      const { ok, data } = await sendRoomAction(roomAction, { targetPlayerId: target.id });
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: actionLabel, error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error(`Failed to ${action} player:`, error);
+      alert(t('errors.failed', { action: actionLabel }));
+    }
+  };
+
+  // Seats a server-run bot player (host, lobby only); kicking removes it again
+  const addBot = async () => {
+    try {
+      const { ok, data } = await sendRoomAction("add-bot");
+
+      if (!ok) {
+        alert(t('errors.rejected', { action: t('action.addBot'), error: data.error }));
+      } else {
+        refreshAfterAction();
+      }
+    } catch (error) {
+      console.error("Failed to add bot:", error);
+      alert(t('errors.failed', { action: t('action.addBot') }));
     }
   };
 
@@ -259,8 +777,90 @@ export default function App() {
   const isHost = myPlayer?.isHost;
   const canStartGame = isHost && players.length >= 2 && !gameStarted;
   const canStartVote = isHost && gameStarted && roundState === "playing";
-  const canCastVote = gameStarted && roundState === "voting" && myPlayerId && selectedVoteTarget;
-  const canEndRound = isHost && gameStarted && roundState === "voting";
+  const isBallotOpen = roundState === "voting" || roundState === "runoff";
+  const canCastVote = gameStarted && isBallotOpen && myPlayerId && selectedVoteTargets.length > 0;
+  // A runoff or the host's tie decision is limited to the tied players and the open accusations
+  const maxVoteTargets = tieBreak ? tieBreak.seats : spyCountThisRound;
+  // Players who came back after the round was dealt sit it out: they neither vote nor get voted for
+  const voteCandidates = players.filter(p => p.id !== myPlayerId && p.presence !== "disconnected" && p.inRound
+    && (!tieBreak || tieBreak.candidates.includes(p.id)));
+  const isPendingSpyGuesser = roundState === "spyGuess" && Boolean(spyGuess?.pendingSpyIds.includes(myPlayerId));
+  const canEndRound = isHost && gameStarted && isBallotOpen;
+  const showSummary = !gameStarted && finalResults && dismissedResultsId !== finalResults.matchId;
+  const inLobby = !gameStarted && !showSummary;
+  const currentTurn = discussion?.turns[discussion.currentTurnIndex];
+  const canAdvanceTurn = roundState === "playing" && currentTurn && (isHost || currentTurn.askerId === myPlayerId);
+  const playerName = (playerId) => players.find(p => p.id === playerId)?.name ?? '?';
+  // Names in the round reveal come from the round record, so players who left still show
+  const revealName = (playerId) => roundResult?.players.find(p => p.id === playerId)?.name ?? '?';
+
+  // Host-only menu under a player's or spectator's chip, opened by click or right-click
+  const moderationMenuProps = (memberId) => {
+    const canModerate = isHost && memberId !== myPlayerId;
+    return {
+      onClick: () => canModerate && setModerationMenuFor(moderationMenuFor === memberId ? null : memberId),
+      onContextMenu: (e) => {
+        if (!canModerate) return;
+        e.preventDefault();
+        setModerationMenuFor(memberId);
+      },
+    };
+  };
+
+  const renderModerationMenu = (member, actions) => (
+    <div style={{
+      position: 'absolute',
+      top: '100%',
+      insetInlineStart: 0,
+      zIndex: 10,
+      marginTop: '4px',
+      display: 'flex',
+      flexDirection: 'column',
+      minWidth: '100%',
+      backgroundColor: colors.secondary,
+      border: `1px solid ${colors.border}`,
+      borderRadius: '8px',
+      boxShadow: `0 4px 10px rgba(0,0,0,0.5)`,
+      overflow: 'hidden'
+    }}>
+      {actions.map(action => (
+        <button
+          key={action}
+          onClick={() => moderatePlayer(action, member)}
+          style={{
+            padding: '8px 12px',
+            backgroundColor: 'transparent',
+            color: action === "ban" ? colors.error : colors.textLight,
+            border: 'none',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          {t(`moderation.${action}`)}
+        </button>
+      ))}
+    </div>
+  );
+
+  const languagePicker = (
+    <select
+      value={language}
+      onChange={(e) => setLanguage(e.target.value)}
+      aria-label={t('language')}
+      style={{
+        float: 'inline-end',
+        padding: '4px',
+        borderRadius: '6px',
+        border: `1px solid ${colors.border}`,
+        backgroundColor: colors.primary,
+        color: colors.textLight
+      }}
+    >
+      {Object.entries(LANGUAGES).map(([code, { label }]) => (
+        <option key={code} value={code}>{label}</option>
+      ))}
+    </select>
+  );
 
   // --- UI RENDERING ---
   return (
@@ -287,7 +887,8 @@ export default function App() {
         maxWidth: '700px',
         textAlign: 'center',
         }}>
-          <h2 style={{ color: colors.accent, marginBottom: '30px' }}>🎭 برا السالفة</h2>
+          {languagePicker}
+          <h2 style={{ color: colors.accent, marginBottom: '30px' }}>{t('app.title')}</h2>
           <input
             style={{
               padding: '12px',
@@ -299,7 +900,7 @@ export default function App() {
               color: colors.textLight,
               fontSize: '1em'
             }}
-            placeholder="اسمك"
+            placeholder={t('join.name')}
             value={name}
             onChange={(e) => setName(e.target.value)}
           /><br/><br/>
@@ -314,12 +915,44 @@ export default function App() {
               color: colors.textLight,
               fontSize: '1em'
             }}
-            placeholder="رمز الغرفة"
+            placeholder={t('join.roomCode')}
             value={roomCode}
-            onChange={(e) => setRoomCode(e.target.value)}
-          /><br/><br/>
+            onChange={(e) => {
+              setRoomCode(e.target.value);
+              setPasswordRequired(false);
+            }}
+          /><br/>
+          {passwordRequired && (
+            <>
+              <input
+                type="password"
+                style={{
+                  padding: '12px',
+                  margin: '10px 0',
+                  width: 'calc(100% - 24px)',
+                  borderRadius: '8px',
+                  border: `1px solid ${colors.border}`,
+                  backgroundColor: colors.primary,
+                  color: colors.textLight,
+                  fontSize: '1em'
+                }}
+                placeholder={t('join.password')}
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+              /><br/>
+            </>
+          )}
+          <label style={{ color: colors.textDim, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={watchOnly}
+              onChange={(e) => setWatchOnly(e.target.checked)}
+              style={{ marginInlineEnd: '6px' }}
+            />
+            {t('join.watchOnly')}
+          </label><br/>
           <button
-            onClick={joinRoom}
+            onClick={() => joinRoom()}
             style={{
               padding: '12px 25px',
               backgroundColor: colors.accent,
@@ -335,8 +968,114 @@ export default function App() {
             onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#d23d53'}
             onMouseOut={(e) => e.currentTarget.style.backgroundColor = colors.accent}
           >
-            دخول
+            {t('join.submit')}
           </button>
+
+          {/* Create a room: the server picks the code */}
+          <div style={{ marginTop: '30px', paddingTop: '20px', borderTop: `1px solid ${colors.border}` }}>
+            <h3 style={{ color: colors.textLight, marginTop: 0 }}>{t('create.title')}</h3>
+            <label style={{ color: colors.textDim }}>
+              {t('create.visibility')}{' '}
+              <select
+                value={newRoomVisibility}
+                onChange={(e) => setNewRoomVisibility(e.target.value)}
+                style={{ padding: '6px', borderRadius: '5px', border: `1px solid ${colors.border}`, backgroundColor: colors.primary, color: colors.textLight }}
+              >
+                {ROOM_VISIBILITIES.map(visibility => (
+                  <option key={visibility} value={visibility}>{t(`visibility.${visibility}`)}</option>
+                ))}
+              </select>
+            </label>
+            <input
+              type="password"
+              style={{
+                padding: '12px',
+                margin: '10px 0',
+                width: 'calc(100% - 24px)',
+                borderRadius: '8px',
+                border: `1px solid ${colors.border}`,
+                backgroundColor: colors.primary,
+                color: colors.textLight,
+                fontSize: '1em'
+              }}
+              placeholder={t('create.password')}
+              value={newRoomPassword}
+              onChange={(e) => setNewRoomPassword(e.target.value)}
+            /><br/>
+            <button
+              onClick={createRoom}
+              style={{
+                padding: '10px 20px',
+                backgroundColor: colors.border,
+                color: colors.textLight,
+                border: `1px solid ${colors.accent}`,
+                borderRadius: '8px',
+                fontSize: '1em',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}
+            >
+              {t('create.submit')}
+            </button>
+          </div>
+
+          {/* Lobby browser: public rooms waiting for players */}
+          <div style={{ marginTop: '30px', paddingTop: '20px', borderTop: `1px solid ${colors.border}`, textAlign: 'start' }}>
+            <h3 style={{ color: colors.textLight, marginTop: 0, textAlign: 'center' }}>{t('lobby.title')}</h3>
+            {publicRooms.length === 0 ? (
+              <p style={{ color: colors.textDim, textAlign: 'center' }}>{t('lobby.empty')}</p>
+            ) : (
+              <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {publicRooms.map(listed => (
+                  <li key={listed.roomCode} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '10px',
+                    padding: '10px',
+                    marginBottom: '8px',
+                    backgroundColor: colors.primary,
+                    border: `1px solid ${colors.border}`,
+                    borderRadius: '8px',
+                  }}>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ color: colors.textLight, fontWeight: 'bold' }}>
+                        {listed.hasPassword && <span title={t('lobby.passwordProtected')}>🔒 </span>}
+                        {t('lobby.hostedBy', { host: listed.hostName ?? '?' })}
+                        <span style={{ color: colors.accent, marginInlineStart: '8px' }}>{listed.roomCode}</span>
+                      </div>
+                      <div style={{ color: colors.textDim, fontSize: '0.85em' }}>
+                        {t('lobby.players', { count: listed.playerCount, max: maxPlayers })}
+                        {listed.spectatorCount > 0 && ` · ${t('lobby.spectators', { count: listed.spectatorCount })}`}
+                        {` · ${t(`mode.${listed.mode}`)}`}
+                      </div>
+                      {listed.wordPacks.length > 0 && (
+                        <div style={{ color: colors.textDim, fontSize: '0.85em' }}>
+                          {t('lobby.wordPacks', { packs: t.list(listed.wordPacks.map(pack => pack.name)) })}
+                          {' '}({listed.languages.map(code => code.toUpperCase()).join(', ')})
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => {
+                        setRoomCode(listed.roomCode);
+                        joinRoom(listed.roomCode);
+                      }}
+                      style={{
+                        padding: '8px 16px',
+                        backgroundColor: colors.accent,
+                        color: colors.textLight,
+                        border: 'none',
+                        borderRadius: '8px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {t('join.submit')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
         </div>
       )}
 
@@ -351,11 +1090,47 @@ export default function App() {
         maxWidth: '700px',
         textAlign: 'center',
         }}>
+          {languagePicker}
           <h3 style={{ color: colors.textLight, marginBottom: '20px' }}>
-            Room: <span style={{ color: colors.accent }}>{roomCode}</span> {gameStarted && `(Round ${currentRound})`}
+            {t('room.code')} <span style={{ color: colors.accent }}>{roomCode}</span> {gameStarted && t('room.round', { round: currentRound })}
+            {access && (
+              <span style={{ color: colors.textDim, fontSize: '0.7em', marginInlineStart: '10px' }}>
+                {access.hasPassword && '🔒 '}{t(`visibility.${access.visibility}`)}
+              </span>
+            )}
           </h3>
+          <button
+            onClick={leaveRoom}
+            style={{
+              padding: '6px 14px',
+              marginBottom: '20px',
+              backgroundColor: 'transparent',
+              color: colors.textDim,
+              border: `1px solid ${colors.border}`,
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            {t('room.leave')}
+          </button>
+          <br/>
+
+          {gameStarted && secondsLeft !== null && (
+            <div style={{
+              display: 'inline-block',
+              marginBottom: '20px',
+              padding: '6px 16px',
+              borderRadius: '20px',
+              backgroundColor: secondsLeft <= 10 ? colors.error : colors.primary,
+              color: colors.textLight,
+              fontWeight: 'bold',
+              fontSize: '1.2em'
+            }}>
+              ⏱ {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+            </div>
+          )}
 
-          <h4 style={{ color: colors.textDim, marginBottom: '15px' }}>Players ({players.length}):</h4>
+          <h4 style={{ color: colors.textDim, marginBottom: '15px' }}>{t('players.title', { count: players.length })}</h4>
           <div style={{
             display: 'flex',
             flexWrap: 'wrap',
@@ -364,26 +1139,365 @@ export default function App() {
             marginBottom: '25px'
           }}>
             {players.map((p) => (
-              <div
-                key={p.id}
-                style={{
-                  border: `2px solid ${p.id === myPlayerId ? colors.accent : colors.border}`,
-                  padding: '8px 15px',
-                  borderRadius: '10px',
-                  backgroundColor: p.isHost ? colors.warning : colors.primary, // Host has warning color
-                  color: p.isHost ? colors.primary : colors.textLight, // Text color for host
-                  fontWeight: 'bold',
-                  boxShadow: `0 2px 5px rgba(0,0,0,0.3)`
-                }}
-              >
-                {p.name} {p.isHost && "(مضيف)"} {p.score !== undefined && `(${p.score})`}
+              <div key={p.id} style={{ position: 'relative' }}>
+                <div
+                  {...moderationMenuProps(p.id)}
+                  style={{
+                    cursor: isHost && p.id !== myPlayerId ? 'pointer' : 'default',
+                    border: `2px solid ${p.id === myPlayerId ? colors.accent : colors.border}`,
+                    opacity: p.presence === "active" ? 1 : 0.5, // Dim idle and disconnected players
+                    padding: '8px 15px',
+                    borderRadius: '10px',
+                    backgroundColor: p.isHost ? colors.warning : colors.primary, // Host has warning color
+                    color: p.isHost ? colors.primary : colors.textLight, // Text color for host
+                    fontWeight: 'bold',
+                    boxShadow: `0 2px 5px rgba(0,0,0,0.3)`
+                  }}
+                >
+                  {p.isBot && <span title={t('players.bot')}>🤖 </span>}
+                  {p.name} {p.isHost && t('players.host')} {p.score !== undefined && `(${p.score})`}
+                  {p.presence === "idle" && " 💤"}
+                  {p.presence === "disconnected" && ` ${t('players.disconnected')}`}
+                  {p.voteStatus && (
+                    <span title={t(`voteStatus.${p.voteStatus}`)}> {VOTE_STATUS_ICONS[p.voteStatus]}</span>
+                  )}
+                  {ballots?.[p.id]?.length > 0 && (
+                    <div style={{ fontSize: '0.8em', fontWeight: 'normal' }}>
+                      → {t.list(ballots[p.id].map(id => playerName(id)))}
+                    </div>
+                  )}
+                </div>
+                {moderationMenuFor === p.id && renderModerationMenu(p, p.isBot ? ["kick"] : ["kick", "ban"])}
               </div>
             ))}
           </div>
+          {inLobby && isHost && (
+            <button
+              onClick={addBot}
+              style={{
+                padding: '6px 14px',
+                marginTop: '-10px',
+                marginBottom: '25px',
+                backgroundColor: 'transparent',
+                color: colors.textLight,
+                border: `1px dashed ${colors.border}`,
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              🤖 {t('players.addBot')}
+            </button>
+          )}
+
+          {spectators.length > 0 && (
+            <>
+              <h4 style={{ color: colors.textDim, marginBottom: '10px' }}>{t('spectators.title', { count: spectators.length })}</h4>
+              <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px', marginBottom: '25px' }}>
+                {spectators.map((s) => (
+                  <div key={s.id} style={{ position: 'relative' }}>
+                    <div
+                      {...moderationMenuProps(s.id)}
+                      style={{
+                        cursor: isHost ? 'pointer' : 'default',
+                        border: `1px dashed ${s.id === myPlayerId ? colors.accent : colors.border}`,
+                        opacity: s.presence === "active" ? 1 : 0.5,
+                        padding: '4px 10px',
+                        borderRadius: '10px',
+                        color: colors.textDim
+                      }}
+                    >
+                      👁 {s.name}
+                      {s.presence === "idle" && " 💤"}
+                    </div>
+                    {moderationMenuFor === s.id && renderModerationMenu(s, gameStarted ? ["kick", "ban"] : ["promote", "kick", "ban"])}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {isSpectator && (
+            <p style={{ color: colors.warning, fontWeight: 'bold' }}>
+              👁 {t(gameStarted ? 'spectators.watching' : 'spectators.waiting')}
+            </p>
+          )}
 
           <br/>
 
-          {!gameStarted && canStartGame && (
+          {showSummary && (
+            <div style={{ marginBottom: '25px', padding: '20px', backgroundColor: colors.primary, borderRadius: '10px' }}>
+              <h2 style={{ color: colors.accent, marginTop: 0 }}>{t('summary.gameOver')}</h2>
+
+              <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'flex-end', gap: '12px', marginBottom: '20px' }}>
+                {finalResults.standings.filter(p => p.rank <= 3).map(p => (
+                  <div key={p.id} style={{ textAlign: 'center', minWidth: '80px' }}>
+                    <div style={{ fontSize: '1.8em' }}>{PODIUM_MEDALS[p.rank - 1]}</div>
+                    <div style={{ color: colors.textLight, fontWeight: 'bold' }}>{p.name}</div>
+                    <div
+                      style={{
+                        height: `${90 - (p.rank - 1) * 25}px`,
+                        marginTop: '6px',
+                        backgroundColor: p.rank === 1 ? colors.accent : colors.secondary,
+                        borderRadius: '8px 8px 0 0',
+                        color: colors.textLight,
+                        paddingTop: '8px'
+                      }}
+                    >
+                      {p.score}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {finalResults.standings.some(p => p.rank > 3) && (
+                <p style={{ color: colors.textDim }}>
+                  {finalResults.standings.filter(p => p.rank > 3).map(p => `${p.rank}. ${p.name} (${p.score})`).join(' · ')}
+                </p>
+              )}
+
+              {finalResults.awards.length > 0 && (
+                <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                  {finalResults.awards.map(award => (
+                    <div key={award.id} style={{ padding: '10px 15px', border: `1px solid ${colors.warning}`, borderRadius: '10px', color: colors.textLight }}>
+                      <div style={{ color: colors.warning, fontWeight: 'bold' }}>{t(`award.${award.id}`)}</div>
+                      <div>{t.list(award.players.map(p => p.name))}</div>
+                      <div style={{ color: colors.textDim, fontSize: '0.85em' }}>{t(`award.${award.id}.count`, { count: award.count })}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.textLight, marginBottom: '20px' }}>
+                <thead>
+                  <tr style={{ color: colors.textDim }}>
+                    <th style={{ padding: '6px' }}>{t('summary.round')}</th>
+                    <th style={{ padding: '6px' }}>{t('summary.word')}</th>
+                    <th style={{ padding: '6px' }}>{t('summary.spy')}</th>
+                    <th style={{ padding: '6px' }}>{t('summary.result')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {finalResults.rounds.map(round => (
+                    <tr key={round.round} style={{ borderTop: `1px solid ${colors.border}` }}>
+                      <td style={{ padding: '6px' }}>{round.round}</td>
+                      <td style={{ padding: '6px' }}>{round.word}{round.undercoverWord && ` / ${round.undercoverWord}`}</td>
+                      <td style={{ padding: '6px' }}>{round.voided ? '—' : t.list(round.spies.map(spy => spy.name))}</td>
+                      <td style={{ padding: '6px' }}>
+                        {round.voided ? t('summary.voided') : t.list(round.spies.map(spy => t(spy.result === "escaped" ? 'summary.escaped' : 'summary.caught')))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div style={{ display: 'flex', justifyContent: 'center', gap: '15px' }}>
+                {canStartGame && (
+                  <button
+                    onClick={startGame}
+                    style={{
+                      padding: '12px 25px',
+                      backgroundColor: colors.success,
+                      color: colors.primary,
+                      border: 'none',
+                      borderRadius: '8px',
+                      fontSize: '1em',
+                      fontWeight: 'bold',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {t('summary.playAgain')}
+                  </button>
+                )}
+                <button
+                  onClick={() => setDismissedResultsId(finalResults.matchId)}
+                  style={{
+                    padding: '12px 25px',
+                    backgroundColor: colors.secondary,
+                    color: colors.textLight,
+                    border: `1px solid ${colors.border}`,
+                    borderRadius: '8px',
+                    fontSize: '1em',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {t('summary.backToRoom')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {inLobby && settings && (
+            <div style={{ marginBottom: '25px', padding: '15px', backgroundColor: colors.primary, borderRadius: '10px' }}>
+              <h4 style={{ color: colors.textDim, marginTop: 0 }}>{t('settings.title')}</h4>
+              {SETTING_CHOICE_FIELDS.map(({ key, options }) => (
+                <label key={key} style={{ display: 'block', marginBottom: '12px', color: colors.textDim }}>
+                  {t(`setting.${key}`)}:{' '}
+                  {isHost ? (
+                    <select
+                      value={settingsDraft?.[key] ?? settings[key]}
+                      onChange={(e) => editSetting(key, e.target.value)}
+                      style={{
+                        padding: '5px',
+                        borderRadius: '6px',
+                        border: `1px solid ${colors.border}`,
+                        backgroundColor: colors.secondary,
+                        color: colors.textLight
+                      }}
+                    >
+                      {options.map(value => (
+                        <option key={value} value={value}>{t(`${key}.${value}`)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <b style={{ color: colors.textLight }}>{t(`${key}.${settings[key]}`)}</b>
+                  )}
+                </label>
+              ))}
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px 15px', textAlign: 'start' }}>
+                {SETTING_FIELDS.map(key => (
+                  <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: colors.textDim }}>
+                    {t(`setting.${key}`)}
+                    {isHost ? (
+                      <input
+                        type="number"
+                        min={0}
+                        value={settingsDraft?.[key] ?? settings[key]}
+                        onChange={(e) => editSetting(key, e.target.value === "" ? "" : Number(e.target.value))}
+                        style={{
+                          width: '70px',
+                          padding: '5px',
+                          borderRadius: '6px',
+                          border: `1px solid ${colors.border}`,
+                          backgroundColor: colors.secondary,
+                          color: colors.textLight
+                        }}
+                      />
+                    ) : (
+                      <b style={{ color: colors.textLight }}>{settings[key]}</b>
+                    )}
+                  </label>
+                ))}
+              </div>
+              {isHost && settingsDraft && (
+                <button
+                  onClick={() => saveSettings(settingsDraft)}
+                  style={{
+                    padding: '8px 20px',
+                    marginTop: '12px',
+                    backgroundColor: colors.accent,
+                    color: colors.textLight,
+                    border: 'none',
+                    borderRadius: '8px',
+                    fontWeight: 'bold',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {t('settings.save')}
+                </button>
+              )}
+              <p style={{ color: colors.textDim, fontSize: '0.85em', marginBottom: 0 }}>{t('settings.hint')}</p>
+              {!isSpectator && settings.spyCount > 1 && settings.mode === "classic" && (
+                <label style={{ display: 'block', marginTop: '12px', color: colors.textDim, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={knowsFellowSpies}
+                    onChange={(e) => saveSpyPreference(e.target.checked)}
+                    style={{ marginInlineEnd: '6px' }}
+                  />
+                  {t('settings.knowFellowSpies')}
+                </label>
+              )}
+            </div>
+          )}
+
+          {inLobby && settings && (
+            <div style={{ marginBottom: '25px', padding: '15px', backgroundColor: colors.primary, borderRadius: '10px' }}>
+              <h4 style={{ color: colors.textDim, marginTop: 0 }}>{t('packs.title')}</h4>
+              <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px' }}>
+                {wordPacks.available
+                  .filter(pack => isHost || settings?.wordPackIds.includes(pack.id))
+                  .map(pack => {
+                    const selected = settings?.wordPackIds.includes(pack.id);
+                    return (
+                      <label
+                        key={pack.id}
+                        style={{
+                          padding: '6px 12px',
+                          borderRadius: '8px',
+                          border: `1px solid ${selected ? colors.accent : colors.border}`,
+                          color: selected ? colors.textLight : colors.textDim,
+                          cursor: isHost ? 'pointer' : 'default',
+                        }}
+                      >
+                        {isHost && (
+                          <input
+                            type="checkbox"
+                            checked={selected}
+                            onChange={() => toggleWordPack(pack.id)}
+                            style={{ marginInlineEnd: '6px' }}
+                          />
+                        )}
+                        {pack.name} ({pack.language.toUpperCase()}, {settings.mode === "undercover" ? t('packs.pairs', { count: pack.pairCount }) : pack.wordCount})
+                      </label>
+                    );
+                  })}
+              </div>
+              {isHost && (
+                <label style={{ display: 'inline-block', marginTop: '12px', color: colors.textDim, cursor: 'pointer' }}>
+                  {t('packs.upload')}{' '}
+                  <input type="file" accept=".json,.csv" onChange={uploadWordPack} style={{ color: colors.textDim }} />
+                </label>
+              )}
+            </div>
+          )}
+
+          {inLobby && matchHistory.length > 0 && (
+            <div style={{ marginBottom: '25px', padding: '15px', backgroundColor: colors.primary, borderRadius: '10px', textAlign: 'start' }}>
+              <h4 style={{ color: colors.textDim, marginTop: 0 }}>{t('history.title')}</h4>
+              {[...matchHistory].reverse().map(match => {
+                const nameOf = (playerId) => match.rounds.flatMap(r => r.players).find(p => p.id === playerId)?.name ?? '?';
+                return (
+                  <div key={match.id} style={{ borderTop: `1px solid ${colors.border}`, padding: '8px 0' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                      <span
+                        onClick={() => setOpenMatchId(openMatchId === match.id ? null : match.id)}
+                        style={{ color: colors.textLight, cursor: 'pointer' }}
+                      >
+                        {new Date(match.startedAt).toLocaleString()} · {t('history.rounds', { count: match.rounds.length })}
+                        {match.finalScores[0] && ` · ${t('history.winner', match.finalScores[0])}`}
+                        {!match.completed && ` · ${t('history.unfinished')}`}
+                      </span>
+                      <a
+                        href={`${API_BASE_URL}/room/${roomCode}/history/${match.id}/export`}
+                        download
+                        style={{ color: colors.accent, whiteSpace: 'nowrap' }}
+                      >
+                        {t('history.download')}
+                      </a>
+                    </div>
+                    {openMatchId === match.id && (
+                      <ol style={{ color: colors.textDim, margin: '8px 0 0', paddingInlineStart: '20px' }}>
+                        {match.rounds.map(round => (
+                          <li key={round.round} style={{ marginBottom: '6px' }}>
+                            {t('history.word')} <b style={{ color: colors.textLight }}>{round.word}</b>
+                            {round.undercoverWord && <> / <b style={{ color: colors.textLight }}>{round.undercoverWord}</b></>}
+                            {' · '}
+                            {round.voided ? t('history.voided') : t.list(round.spies.map(spy => (
+                              `${nameOf(spy.playerId)} ${t(spy.result === "caught" ? 'history.caught' : 'history.escaped')}${spy.guess ? ` ${t('history.guessed', { guess: spy.guess })}` : ''}`
+                            )))}
+                            <div style={{ fontSize: '0.85em' }}>
+                              {round.players.map(p => `${p.name}: ${p.scoreChange > 0 ? '+' : ''}${p.scoreChange}`).join(' · ')}
+                            </div>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {inLobby && canStartGame && (
             <button
               onClick={startGame}
               style={{
@@ -401,38 +1515,283 @@ export default function App() {
               onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#5ca042'}
               onMouseOut={(e) => e.currentTarget.style.backgroundColor = colors.success}
             >
-              ابدأ اللعبة
+              {t('lobby.startGame')}
             </button>
           )}
 
           {gameStarted && (
               <div style={{ marginBottom: '20px' }}>
-                  {myRole === "spy" ? (
+                  {isSpectator ? null : myRole === "spy" && settings?.mode === "undercover" ? (
                       <h3 style={{ color: colors.error, backgroundColor: colors.spyBackground, padding: '10px', borderRadius: '8px' }}>
-                        <span style={{ fontSize: '1.5em', marginRight: '10px' }}>❓</span> أنت الجاسوس!
+                        <span style={{ fontSize: '1.5em', marginInlineEnd: '10px' }}>🎭</span> {t('role.undercover')} <span style={{ color: colors.accent }}>{myWord}</span>
+                      </h3>
+                  ) : myRole === "spy" ? (
+                      <h3 style={{ color: colors.error, backgroundColor: colors.spyBackground, padding: '10px', borderRadius: '8px' }}>
+                        <span style={{ fontSize: '1.5em', marginInlineEnd: '10px' }}>❓</span> {t('role.spy', { count: spyCountThisRound })}
                       </h3>
                   ) : (
                       <h3 style={{ color: colors.textLight }}>
-                        <span style={{ fontSize: '1.5em', marginRight: '10px' }}>🗝</span> الكلمة: <span style={{ color: colors.accent }}>{myWord}</span>
+                        <span style={{ fontSize: '1.5em', marginInlineEnd: '10px' }}>🗝</span> {t('role.word')} <span style={{ color: colors.accent }}>{myWord}</span>
                       </h3>
                   )}
-                  {lastRoundResult && <p style={{ color: colors.success, fontWeight: 'bold', marginTop: '15px' }}>{lastRoundResult}</p>}
+                  {myRole === "spy" && spyCountThisRound > 1 && settings?.mode === "classic" && (
+                    <div style={{ color: colors.warning }}>
+                      {fellowSpies?.length > 0 && <p>{t('role.fellowSpies', { names: t.list(fellowSpies.map(p => p.name)) })}</p>}
+                      <label style={{ cursor: 'pointer' }}>
+                        <input
+                          type="checkbox"
+                          checked={knowsFellowSpies}
+                          onChange={(e) => saveSpyPreference(e.target.checked)}
+                          style={{ marginInlineEnd: '6px' }}
+                        />
+                        {t('role.showFellowSpies')}
+                      </label>
+                    </div>
+                  )}
 
                   {roundState === "playing" && (
                     <div style={{ marginTop: '20px', marginBottom: '20px' }}>
-                        <h4 style={{ color: colors.textDim }}>جولة النقاش:</h4>
-                        {discussionTurnsString ? (
+                        <h4 style={{ color: colors.textDim }}>
+                          {t('discussion.title', { lap: discussion?.lap, laps: discussion?.laps })}
+                        </h4>
+                        {discussion?.turns.length ? (
+                            <div style={{ backgroundColor: colors.primary, padding: '15px', borderRadius: '10px', boxShadow: `0 2px 8px ${colors.border}` }}>
+                                <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px' }}>
+                                    {discussion.turns.map((turn, index) => {
+                                        const isCurrent = index === discussion.currentTurnIndex;
+                                        return (
+                                            <span
+                                              key={turn.askerId}
+                                              style={{
+                                                padding: '6px 12px',
+                                                borderRadius: '8px',
+                                                border: `1px solid ${isCurrent ? colors.accent : colors.border}`,
+                                                backgroundColor: isCurrent ? colors.accent : 'transparent',
+                                                color: isCurrent ? colors.textLight : colors.textDim,
+                                                fontWeight: isCurrent ? 'bold' : 'normal'
+                                              }}
+                                            >
+                                              {playerName(turn.askerId)} → {playerName(turn.targetId)}
+                                            </span>
+                                        );
+                                    })}
+                                </div>
+                                {currentTurn && (
+                                    <p style={{ color: colors.textLight, fontWeight: 'bold', fontSize: '1.1em', marginBottom: 0 }}>
+                                        {currentTurn.askerId === myPlayerId
+                                          ? t('discussion.yourTurn', { name: playerName(currentTurn.targetId) })
+                                          : currentTurn.targetId === myPlayerId
+                                            ? t('discussion.askingYou', { name: playerName(currentTurn.askerId) })
+                                            : t('discussion.asking', { asker: playerName(currentTurn.askerId), target: playerName(currentTurn.targetId) })}
+                                        {turnSecondsLeft !== null && (
+                                          <span style={{ color: turnSecondsLeft <= 5 ? colors.error : colors.warning, marginInlineStart: '10px' }}>⏱ {turnSecondsLeft}</span>
+                                        )}
+                                    </p>
+                                )}
+                                {canAdvanceTurn && (
+                                    <button
+                                      onClick={advanceTurn}
+                                      style={{
+                                        padding: '8px 20px',
+                                        marginTop: '12px',
+                                        backgroundColor: colors.secondary,
+                                        color: colors.textLight,
+                                        border: `1px solid ${colors.border}`,
+                                        borderRadius: '8px',
+                                        fontWeight: 'bold',
+                                        cursor: 'pointer'
+                                      }}
+                                    >
+                                      {t('discussion.next')}
+                                    </button>
+                                )}
+                            </div>
+                        ) : discussionTurnsString ? (
                             <p style={{ fontWeight: 'bold', fontSize: '1.1em', color: colors.textLight, backgroundColor: colors.primary, padding: '15px', borderRadius: '10px', boxShadow: `0 2px 8px ${colors.border}` }}>
                                 {discussionTurnsString}
                             </p>
                         ) : (
-                            <p style={{ color: colors.textDim }}>النقاش جاري...</p>
+                            <p style={{ color: colors.textDim }}>{t('discussion.ongoing')}</p>
                         )}
                     </div>
                   )}
-                  {roundState === "voting" && <p style={{ color: colors.error, fontWeight: 'bold' }}>التصويت جاري!</p>}
-                  {roundState === "ended" && <p style={{ color: colors.textDim }}>الجولة انتهت، انتظر الجولة التالية.</p>}
-                  {roundState === "waiting" && gameStarted && <p style={{ color: colors.textDim }}>انتظار بدء الجولة الأولى.</p>}
+                  {roundState === "voting" && <p style={{ color: colors.error, fontWeight: 'bold' }}>{t('voting.ongoing')}</p>}
+                  {tieBreak && (
+                    <p style={{ color: colors.warning, fontWeight: 'bold' }}>
+                      {t('tie.between', { names: t.list(tieBreak.candidates.map(id => playerName(id))) })}
+                      {t(roundState === "runoff" ? 'tie.runoff' : isHost ? 'tie.choose' : 'tie.waitingHost')}
+                    </p>
+                  )}
+                  {roundState === "hostDecision" && isHost && (
+                    <div style={{ marginBottom: '20px' }}>
+                      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px', marginBottom: '12px' }}>
+                        {tieBreak.candidates.map(id => {
+                          const selected = selectedVoteTargets.includes(id);
+                          return (
+                            <button
+                              key={id}
+                              onClick={() => toggleVoteTarget(id)}
+                              style={{
+                                padding: '8px 15px',
+                                backgroundColor: selected ? colors.accent : colors.secondary,
+                                color: colors.textLight,
+                                border: `1px solid ${selected ? colors.accent : colors.border}`,
+                                borderRadius: '8px',
+                                fontSize: '1em',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              {playerName(id)}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <button
+                        onClick={breakTie}
+                        disabled={selectedVoteTargets.length !== tieBreak.seats}
+                        style={{
+                          padding: '10px 20px',
+                          backgroundColor: colors.accent,
+                          color: colors.textLight,
+                          border: 'none',
+                          borderRadius: '8px',
+                          fontSize: '1em',
+                          fontWeight: 'bold',
+                          cursor: 'pointer',
+                          opacity: selectedVoteTargets.length === tieBreak.seats ? 1 : 0.6
+                        }}
+                      >
+                        {t('tie.confirm')}
+                      </button>
+                    </div>
+                  )}
+                  {roundState === "spyGuess" && !isPendingSpyGuesser && (
+                    <p style={{ color: colors.warning, fontWeight: 'bold' }}>
+                      {t('spyGuess.waiting', { count: spyGuess?.spyIds.length })}
+                    </p>
+                  )}
+                  {isPendingSpyGuesser && (
+                    <div style={{ marginTop: '20px', padding: '15px', backgroundColor: colors.spyBackground, borderRadius: '10px' }}>
+                      <h4 style={{ color: colors.warning, marginTop: 0 }}>{t('spyGuess.prompt')}</h4>
+                      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px', marginBottom: '15px' }}>
+                        {spyGuess.options?.map(option => (
+                          <button
+                            key={option}
+                            onClick={() => submitSpyGuess(option)}
+                            style={{
+                              padding: '8px 15px',
+                              backgroundColor: colors.primary,
+                              color: colors.textLight,
+                              border: `1px solid ${colors.border}`,
+                              borderRadius: '8px',
+                              fontSize: '1em',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {option}
+                          </button>
+                        ))}
+                      </div>
+                      <input
+                        placeholder={t('spyGuess.placeholder')}
+                        value={guessText}
+                        onChange={(e) => setGuessText(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === "Enter") submitSpyGuess(guessText); }}
+                        style={{
+                          padding: '10px',
+                          marginInlineEnd: '10px',
+                          borderRadius: '8px',
+                          border: `1px solid ${colors.border}`,
+                          backgroundColor: colors.primary,
+                          color: colors.textLight,
+                          fontSize: '1em'
+                        }}
+                      />
+                      <button
+                        onClick={() => submitSpyGuess(guessText)}
+                        disabled={!guessText.trim()}
+                        style={{
+                          padding: '10px 20px',
+                          backgroundColor: colors.accent,
+                          color: colors.textLight,
+                          border: 'none',
+                          borderRadius: '8px',
+                          fontSize: '1em',
+                          fontWeight: 'bold',
+                          cursor: 'pointer',
+                          opacity: guessText.trim() ? 1 : 0.6
+                        }}
+                      >
+                        {t('spyGuess.submit')}
+                      </button>
+                    </div>
+                  )}
+                  {roundState === "ended" && <p style={{ color: colors.textDim }}>{t('round.ended')}</p>}
+                  {roundState === "reveal" && roundResult && (
+                    <div style={{ marginTop: '20px', padding: '15px', backgroundColor: colors.primary, borderRadius: '10px', textAlign: 'start' }}>
+                      <h3 style={{ color: colors.accent, marginTop: 0, textAlign: 'center' }}>{t('reveal.title', { round: roundResult.round })}</h3>
+                      <p style={{ color: colors.textLight }}>
+                        {t('reveal.word')} <b style={{ color: colors.accent }}>{roundResult.word}</b>
+                        {roundResult.undercoverWord && <> · {t('reveal.undercoverWord')} <b style={{ color: colors.warning }}>{roundResult.undercoverWord}</b></>}
+                      </p>
+                      <p style={{ color: colors.textLight }}>
+                        {roundResult.voided ? t('reveal.voided') : roundResult.spies.map(spy => (
+                          `${spy.name ?? '?'}: ${t(spy.result === "caught" ? 'reveal.caught' : 'reveal.escaped')}${spy.guess ? ` · ${t('reveal.guessed', { guess: spy.guess })} ${spy.guessCorrect ? '✅' : '❌'}` : ''}`
+                        )).join(' | ')}
+                      </p>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', color: colors.textLight }}>
+                        <thead>
+                          <tr style={{ color: colors.textDim }}>
+                            <th style={{ padding: '6px', textAlign: 'start' }}>{t('reveal.player')}</th>
+                            <th style={{ padding: '6px', textAlign: 'start' }}>{t('reveal.votedFor')}</th>
+                            <th style={{ padding: '6px' }}>{t('reveal.votesAgainst')}</th>
+                            <th style={{ padding: '6px' }}>{t('reveal.points')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {roundResult.players.map(p => (
+                            <tr key={p.id} style={{ borderTop: `1px solid ${colors.border}`, color: p.role === "spy" ? colors.error : colors.textLight }}>
+                              <td style={{ padding: '6px' }}>{p.name}{p.role === "spy" && (roundResult.undercoverWord ? ' 🎭' : ' ❓')}</td>
+                              <td style={{ padding: '6px' }}>
+                                {t.list((roundResult.votes[p.id] ?? []).map(id => revealName(id))) || '—'}
+                              </td>
+                              <td style={{ padding: '6px', textAlign: 'center' }}>{roundResult.tally[p.id] ?? 0}</td>
+                              <td style={{ padding: '6px', textAlign: 'center' }}>
+                                {p.scoreChange > 0 ? `+${p.scoreChange}` : p.scoreChange} ({p.totalScore})
+                                {p.scoreReasons?.map((change, i) => (
+                                  <div key={i} style={{ color: colors.textDim, fontSize: '0.8em' }}>
+                                    {change.points > 0 ? `+${change.points}` : change.points} {t(`scoreReason.${change.reason}`, { count: change.count, name: revealName(change.fromId) })}
+                                  </div>
+                                ))}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div style={{ textAlign: 'center', marginTop: '15px' }}>
+                        {isHost ? (
+                          <button
+                            onClick={continueRound}
+                            style={{
+                              padding: '12px 25px',
+                              backgroundColor: colors.success,
+                              color: colors.primary,
+                              border: 'none',
+                              borderRadius: '8px',
+                              fontSize: '1em',
+                              fontWeight: 'bold',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {t(currentRound >= settings?.maxRounds ? 'reveal.finalResults' : 'reveal.nextRound')}
+                          </button>
+                        ) : (
+                          <p style={{ color: colors.textDim, margin: 0 }}>{t('reveal.waitingHost')}</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  {roundState === "waiting" && gameStarted && <p style={{ color: colors.textDim }}>{t('round.waiting')}</p>}
 
 
                   <div style={{ display: 'flex', justifyContent: 'center', gap: '15px', marginTop: '20px' }}>
@@ -453,7 +1812,7 @@ export default function App() {
                         onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#d23d53'}
                         onMouseOut={(e) => e.currentTarget.style.backgroundColor = colors.accent}
                       >
-                        ابدأ التصويت الآن
+                        {t('host.startVote')}
                       </button>
                     )}
                     {canEndRound && (
@@ -473,35 +1832,68 @@ export default function App() {
                         onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#a00000'}
                         onMouseOut={(e) => e.currentTarget.style.backgroundColor = colors.error}
                       >
-                        انهاء الجولة (المضيف)
+                        {t('host.endRound')}
                       </button>
                     )}
                   </div>
 
 
-                  {roundState === "voting" && (
+                  {isBallotOpen && !isSpectator && myPlayer?.inRound && (
                       <div style={{ marginTop: '30px', marginBottom: '20px', padding: '15px', backgroundColor: colors.primary, borderRadius: '10px' }}>
-                          <select
-                              value={selectedVoteTarget}
-                              onChange={(e) => setSelectedVoteTarget(e.target.value)}
-                              style={{
-                                  padding: '10px',
-                                  marginRight: '15px',
-                                  borderRadius: '8px',
-                                  border: `1px solid ${colors.border}`,
-                                  backgroundColor: colors.secondary,
-                                  color: colors.textLight,
-                                  fontSize: '1em'
-                              }}
-                          >
-                              <option value="" style={{ backgroundColor: colors.secondary, color: colors.textLight }}>صوت لمن تظنه الجاسوس</option>
-                              {players.filter(p => p.id !== myPlayerId).map(p => (
-                                  <option key={p.id} value={p.id} style={{ backgroundColor: colors.secondary, color: colors.textLight }}>{p.name}</option>
-                              ))}
-                          </select>
+                          {maxVoteTargets > 1 ? (
+                            <div style={{ marginBottom: '15px' }}>
+                              <p style={{ color: colors.textDim, marginTop: 0 }}>{t('vote.chooseUpTo', { count: maxVoteTargets, undercover: settings?.mode === "undercover" })}</p>
+                              <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '8px' }}>
+                                {voteCandidates.map(p => {
+                                  const selected = selectedVoteTargets.includes(p.id);
+                                  return (
+                                    <button
+                                      key={p.id}
+                                      onClick={() => toggleVoteTarget(p.id)}
+                                      style={{
+                                        padding: '8px 15px',
+                                        backgroundColor: selected ? colors.accent : colors.secondary,
+                                        color: colors.textLight,
+                                        border: `1px solid ${selected ? colors.accent : colors.border}`,
+                                        borderRadius: '8px',
+                                        fontSize: '1em',
+                                        cursor: 'pointer'
+                                      }}
+                                    >
+                                      {p.name}
+                                    </button>
+                                  );
+                                })}
+                              </div>
+                            </div>
+                          ) : (
+                            <select
+                                value={selectedVoteTargets[0] || ""}
+                                onChange={(e) => setSelectedVoteTargets(e.target.value ? [e.target.value] : [])}
+                                style={{
+                                    padding: '10px',
+                                    marginInlineEnd: '15px',
+                                    borderRadius: '8px',
+                                    border: `1px solid ${colors.border}`,
+                                    backgroundColor: colors.secondary,
+                                    color: colors.textLight,
+                                    fontSize: '1em'
+                                }}
+                            >
+                                <option value="" style={{ backgroundColor: colors.secondary, color: colors.textLight }}>{t('vote.placeholder', { undercover: settings?.mode === "undercover" })}</option>
+                                {voteCandidates.map(p => (
+                                    <option key={p.id} value={p.id} style={{ backgroundColor: colors.secondary, color: colors.textLight }}>{p.name}</option>
+                                ))}
+                            </select>
+                          )}
+                          {myVote && (
+                            <p style={{ color: colors.textDim, marginTop: 0 }}>
+                              {myVote.length === 0 ? t('vote.abstained') : t('vote.current', { names: t.list(myVote.map(id => playerName(id))) })} {t('vote.canChange')}
+                            </p>
+                          )}
                           <button
-                            onClick={castVote}
-                            disabled={!selectedVoteTarget || !canCastVote}
+                            onClick={() => castVote()}
+                            disabled={!canCastVote}
                             style={{
                               padding: '10px 20px',
                               backgroundColor: colors.accent,
@@ -512,12 +1904,27 @@ export default function App() {
                               fontWeight: 'bold',
                               cursor: 'pointer',
                               transition: 'background-color 0.2s',
-                              opacity: (!selectedVoteTarget || !canCastVote) ? 0.6 : 1
+                              opacity: !canCastVote ? 0.6 : 1
                             }}
-                            onMouseOver={(e) => (!selectedVoteTarget || !canCastVote) ? null : e.currentTarget.style.backgroundColor = '#d23d53'}
-                            onMouseOut={(e) => (!selectedVoteTarget || !canCastVote) ? null : e.currentTarget.style.backgroundColor = colors.accent}
+                            onMouseOver={(e) => !canCastVote ? null : e.currentTarget.style.backgroundColor = '#d23d53'}
+                            onMouseOut={(e) => !canCastVote ? null : e.currentTarget.style.backgroundColor = colors.accent}
                           >
-                            إرسال التصويت
+                            {t(myVote ? 'vote.change' : 'vote.submit')}
+                          </button>
+                          <button
+                            onClick={() => castVote(true)}
+                            style={{
+                              padding: '10px 20px',
+                              marginInlineStart: '10px',
+                              backgroundColor: colors.secondary,
+                              color: colors.textLight,
+                              border: `1px solid ${colors.border}`,
+                              borderRadius: '8px',
+                              fontSize: '1em',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {t('vote.abstain')}
                           </button>
                       </div>
                   )}
@@ -536,23 +1943,31 @@ export default function App() {
               margin: "20px auto",
               width: "calc(100% - 20px)", // Adjusted for padding
               padding: "10px",
-              textAlign: "left",
+              textAlign: "start",
               backgroundColor: colors.primary,
               borderRadius: '10px',
               boxShadow: `inset 0 2px 5px rgba(0,0,0,0.5)`
             }}
           >
-            {chat.map((c, i) => (
-              <div key={i} style={{ marginBottom: '5px' }}>
-                <b style={{ color: colors.accent }}>{c.name}:</b> {c.msg}
-              </div>
+            {chat.map(c => (
+              c.system ? (
+                <div key={c.id} style={{ marginBottom: '5px', color: colors.textDim, fontStyle: 'italic', fontSize: '0.9em' }}>
+                  ⓘ {c.parts.map(part => t(`chat.${part.key}`, part.params)).join(' ')}
+                </div>
+              ) : (
+                <div key={c.id} style={{ marginBottom: '5px', opacity: c.channel === "spectators" ? 0.75 : 1 }}>
+                  {c.channel === "spectators" && <span title={t('chat.spectatorChannel')}>👁 </span>}
+                  <b style={{ color: c.playerId === myPlayerId ? colors.success : colors.accent }}><bdi>{c.name}</bdi>:</b> <span dir="auto">{c.msg}</span>
+                </div>
+              )
             ))}
           </div>
 
           <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px' }}>
             <input
-              placeholder="اكتب رسالة"
+              placeholder={t(isSpectator ? 'chat.spectatorPlaceholder' : 'chat.placeholder')}
               value={msg}
+              maxLength={CHAT_MAX_LENGTH}
               onChange={(e) => setMsg(e.target.value)}
               onKeyPress={(e) => { if (e.key === "Enter") sendMessage(); }}
               style={{
@@ -581,7 +1996,7 @@ export default function App() {
               onMouseOver={(e) => e.currentTarget.style.backgroundColor = '#d23d53'}
               onMouseOut={(e) => e.currentTarget.style.backgroundColor = colors.accent}
             >
-              إرسال
+              {t('chat.send')}
             </button>
           </div>
         </div>
@@ -0,0 +1,582 @@
+// Translation catalog for the UI and for the server's system chat messages
+// (sent as { key, params }, looked up here as "chat.<key>").
+// Entries are strings with {param} placeholders, or functions of the params when
+// the wording depends on them (counts, roles, lists).
+
+export const LANGUAGES = {
+  ar: { label: 'العربية', dir: 'rtl' },
+  en: { label: 'English', dir: 'ltr' },
+};
+
+const DEFAULT_LANGUAGE = 'ar';
+const LANGUAGE_STORAGE_KEY = 'outofcontextLanguage';
+
+// The saved choice, else the browser's language if we have it, else Arabic
+export const loadLanguage = () => {
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (LANGUAGES[saved]) return saved;
+  const browser = navigator.language?.slice(0, 2);
+  return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language) => {
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+};
+
+const listAr = (items) => items.map(item => item ?? '?').join('، ');
+const listEn = (items) => items.map(item => item ?? '?').join(', ');
+
+// How a spy is referred to in the server's messages: "the spy", "a spy" (several) or undercover
+const spyLabelAr = ({ undercover, spyCount }) => undercover ? 'المتخفي' : spyCount > 1 ? 'أحد الجواسيس' : 'الجاسوس';
+const spyLabelEn = ({ undercover, spyCount }) => undercover ? 'undercover' : spyCount > 1 ? 'a spy' : 'the spy';
+
+const turnsAr = (turns) => turns.map(turn => `${turn.asker ?? '?'} ← ${turn.target ?? '?'}`).join('، ');
+const turnsEn = (turns) => turns.map(turn => `${turn.asker ?? '?'} -> ${turn.target ?? '?'}`).join(', ');
+
+const victimsAr = (victims) => listAr(victims.map(v => `${v.points} من ${v.name ?? '?'}`));
+const victimsEn = (victims) => listEn(victims.map(v => `${v.points} from ${v.name ?? '?'}`));
+
+const ar = {
+  'app.title': '🎭 برا السالفة',
+  'language': 'اللغة',
+
+  'join.name': 'اسمك',
+  'join.roomCode': 'رمز الغرفة',
+  'join.watchOnly': 'المشاهدة فقط',
+  'join.submit': 'دخول',
+  'join.password': 'كلمة مرور الغرفة',
+  'join.roomFull': 'هذه الغرفة ممتلئة. هل تريد الدخول كمشاهد؟',
+  'create.title': 'غرفة جديدة',
+  'create.visibility': 'الظهور:',
+  'create.password': 'كلمة مرور (اختيارية)',
+  'create.submit': 'إنشاء غرفة',
+  'visibility.public': 'عامة',
+  'visibility.private': 'خاصة',
+  'lobby.title': 'الغرف العامة',
+  'lobby.empty': 'لا توجد غرف عامة بانتظار اللاعبين الآن.',
+  'lobby.hostedBy': 'غرفة {host}',
+  'lobby.passwordProtected': 'محمية بكلمة مرور',
+  'lobby.players': ({ count, max }) => max ? `${count}/${max} لاعبين` : count === 1 ? 'لاعب واحد' : `${count} لاعبين`,
+  'lobby.spectators': ({ count }) => count === 1 ? 'مشاهد واحد' : `${count} مشاهدين`,
+  'lobby.wordPacks': 'الحزم: {packs}',
+
+  'room.code': 'الغرفة:',
+  'room.round': '(الجولة {round})',
+  'room.leave': 'مغادرة الغرفة',
+  'room.leaveConfirm': 'هل تريد مغادرة الغرفة؟',
+  'room.banned': 'تم حظرك من هذه الغرفة.',
+  'room.kicked': 'تم طردك من الغرفة.',
+  'room.expired': 'انتهت صلاحية هذه الغرفة لأن أحدًا لم يستخدمها. أنشئ غرفة جديدة لمواصلة اللعب.',
+
+  'players.title': 'اللاعبون ({count}):',
+  'players.host': '(مضيف)',
+  'players.bot': 'لاعب آلي يتحكم به الخادم',
+  'players.addBot': 'إضافة لاعب آلي',
+  'players.disconnected': '(غير متصل)',
+  'voteStatus.pending': 'لم يصوت بعد',
+  'voteStatus.voted': 'صوّت',
+  'voteStatus.abstained': 'امتنع',
+  'moderation.kick': 'طرد',
+  'moderation.ban': 'حظر',
+  'moderation.banConfirm': 'حظر {name} نهائياً من الغرفة؟',
+  'moderation.promote': 'ضمّه إلى اللاعبين',
+  'spectators.title': 'المشاهدون ({count}):',
+  'spectators.watching': 'أنت تشاهد هذه اللعبة. يمكن للمضيف ضمّك إلى اللاعبين بين الألعاب.',
+  'spectators.waiting': 'أنت مشاهد. بانتظار أن يضمّك المضيف إلى اللاعبين.',
+
+  'summary.gameOver': 'انتهت اللعبة!',
+  'summary.round': 'الجولة',
+  'summary.word': 'الكلمة',
+  'summary.spy': 'الجاسوس',
+  'summary.result': 'النتيجة',
+  'summary.voided': 'ألغيت',
+  'summary.escaped': 'نجا ✅',
+  'summary.caught': 'كُشف ❌',
+  'summary.playAgain': 'العب مجدداً بنفس اللاعبين',
+  'summary.backToRoom': 'العودة إلى الغرفة',
+  'award.bestDetective': '🔍 أفضل محقق',
+  'award.bestDetective.count': '{count} أصوات صحيحة',
+  'award.masterSpy': '🕶 سيد الجواسيس',
+  'award.masterSpy.count': 'نجا {count} مرات',
+
+  'settings.title': 'إعدادات اللعبة:',
+  'settings.save': 'حفظ الإعدادات',
+  'settings.hint': 'الوقت بالثواني، 0 = بدون حد. 0 لفات = المضيف يفتح التصويت.',
+  'settings.knowFellowSpies': 'إذا كنت جاسوساً، أظهر لي بقية الجواسيس',
+  'setting.mode': 'نمط اللعب',
+  'setting.tiePolicy': 'عند التعادل',
+  'setting.ballot': 'نوع الاقتراع',
+  'setting.scoring': 'قواعد النقاط',
+  'setting.maxRounds': 'عدد الجولات',
+  'setting.spyCount': 'عدد الجواسيس',
+  'setting.voteThresholdPercent': 'نسبة الأصوات لكشف الجاسوس (%)',
+  'setting.civilianPoints': 'نقاط المدني',
+  'setting.spyPoints': 'نقاط الجاسوس',
+  'setting.spyGuessPoints': 'نقاط تخمين الجاسوس',
+  'setting.bonusPoints': 'نقاط المكافأة / السرقة',
+  'setting.discussionSeconds': 'وقت النقاش',
+  'setting.votingSeconds': 'وقت التصويت',
+  'setting.turnSeconds': 'وقت كل سؤال',
+  'setting.discussionLaps': 'لفات الأسئلة قبل التصويت',
+  'mode.classic': 'كلاسيكي (جاسوس بلا كلمة)',
+  'mode.undercover': 'المتخفي (كلمة مشابهة)',
+  'tiePolicy.runoff': 'تصويت إعادة بين المتعادلين',
+  'tiePolicy.spyWins': 'التعادل لصالح الجاسوس',
+  'tiePolicy.hostDecides': 'المضيف يقرر',
+  'ballot.secret': 'سري',
+  'ballot.open': 'علني (الأصوات تظهر مباشرة)',
+  'scoring.classic': 'كلاسيكي',
+  'scoring.unanimousBonus': 'مكافأة عند الإجماع على الجاسوس',
+  'scoring.spySteals': 'الجاسوس الناجي يسرق النقاط',
+
+  'packs.title': 'حزم الكلمات:',
+  'packs.pairs': '{count} أزواج',
+  'packs.upload': 'رفع حزمة خاصة (JSON / CSV):',
+
+  'history.title': 'سجل المباريات:',
+  'history.rounds': '{count} جولات',
+  'history.winner': 'الفائز: {name} ({score})',
+  'history.unfinished': 'لم تكتمل',
+  'history.download': 'تنزيل JSON',
+  'history.word': 'الكلمة:',
+  'history.voided': 'ألغيت الجولة',
+  'history.caught': 'كُشف',
+  'history.escaped': 'نجا',
+  'history.guessed': '(خمّن "{guess}")',
+
+  'lobby.startGame': 'ابدأ اللعبة',
+
+  'role.undercover': 'كنت المتخفي! كلمتك كانت:',
+  'role.spy': ({ count }) => count > 1 ? `أنت أحد الجواسيس (${count})!` : 'أنت الجاسوس!',
+  'role.word': 'الكلمة:',
+  'role.fellowSpies': 'الجواسيس معك: {names}',
+  'role.showFellowSpies': 'أظهر لي بقية الجواسيس',
+
+  'discussion.title': ({ lap, laps }) => laps ? `جولة النقاش (اللفة ${lap} من ${laps}):` : 'جولة النقاش:',
+  'discussion.yourTurn': 'دورك! اسأل {name}',
+  'discussion.askingYou': '{name} يسألك الآن',
+  'discussion.asking': '{asker} يسأل {target}',
+  'discussion.next': 'السؤال التالي',
+  'discussion.ongoing': 'النقاش جاري...',
+
+  'voting.ongoing': 'التصويت جاري!',
+  'tie.between': 'تعادل بين: {names}',
+  'tie.runoff': ' — تصويت الإعادة جاري!',
+  'tie.choose': ' — اختر من تتهمه:',
+  'tie.waitingHost': ' — بانتظار قرار المضيف...',
+  'tie.confirm': 'تأكيد الاتهام',
+
+  'spyGuess.waiting': ({ count }) => count > 1 ? 'تم كشف الجواسيس! بانتظار تخمينهم للكلمة...' : 'تم كشف الجاسوس! ينتظر تخمينه للكلمة...',
+  'spyGuess.prompt': 'تم كشفك! خمّن الكلمة لتسرق الجولة:',
+  'spyGuess.placeholder': 'أو اكتب تخمينك',
+  'spyGuess.submit': 'خمّن',
+
+  'round.ended': 'الجولة انتهت، انتظر الجولة التالية.',
+  'round.waiting': 'انتظار بدء الجولة الأولى.',
+
+  'reveal.title': 'نتيجة الجولة {round}',
+  'reveal.word': 'الكلمة:',
+  'reveal.undercoverWord': 'كلمة المتخفي:',
+  'reveal.voided': 'ألغيت الجولة لأن الجاسوس غادر.',
+  'reveal.caught': 'كُشف',
+  'reveal.escaped': 'نجا',
+  'reveal.guessed': 'خمّن "{guess}"',
+  'reveal.player': 'اللاعب',
+  'reveal.votedFor': 'صوّت لـ',
+  'reveal.votesAgainst': 'الأصوات ضده',
+  'reveal.points': 'النقاط',
+  'reveal.finalResults': 'النتائج النهائية',
+  'reveal.nextRound': 'الجولة التالية',
+  'reveal.waitingHost': 'بانتظار المضيف للمتابعة...',
+  'scoreReason.markedSpies': ({ count }) => `صوّت للجاسوس${count > 1 ? ` (${count})` : ''}`,
+  'scoreReason.unanimousCatch': 'مكافأة الإجماع',
+  'scoreReason.escaped': 'نجا من التصويت',
+  'scoreReason.stolenBySpy': 'سرقها {name}',
+  'scoreReason.stoleFromTable': 'سرق من {count} لاعبين',
+  'scoreReason.guessedWord': 'خمّن الكلمة',
+
+  'host.startVote': 'ابدأ التصويت الآن',
+  'host.endRound': 'انهاء الجولة (المضيف)',
+
+  'vote.chooseUpTo': ({ count, undercover }) => `اختر حتى ${count} لاعبين تظنهم ${undercover ? 'متخفين' : 'جواسيس'}:`,
+  'vote.placeholder': ({ undercover }) => undercover ? 'صوت لمن تظنه المتخفي' : 'صوت لمن تظنه الجاسوس',
+  'vote.abstained': 'امتنعت عن التصويت.',
+  'vote.current': 'صوتك الحالي: {names}',
+  'vote.canChange': 'يمكنك تغييره حتى يغلق التصويت.',
+  'vote.change': 'تغيير التصويت',
+  'vote.submit': 'إرسال التصويت',
+  'vote.abstain': 'امتناع',
+
+  'chat.placeholder': 'اكتب رسالة',
+  'chat.spectatorPlaceholder': 'رسالة إلى المشاهدين',
+  'chat.spectatorChannel': 'محادثة المشاهدين',
+  'chat.send': 'إرسال',
+
+  'errors.enterNameAndRoom': 'الرجاء إدخال اسمك ورمز الغرفة.',
+  'errors.enterName': 'الرجاء إدخال اسمك.',
+  'errors.selectVote': 'الرجاء اختيار لاعب للتصويت له.',
+  'errors.rejected': 'خطأ أثناء {action}: {error}',
+  'errors.failed': 'تعذّر {action}. حاول مرة أخرى.',
+  'action.joinRoom': 'الانضمام إلى الغرفة',
+  'action.createRoom': 'إنشاء غرفة',
+  'action.startGame': 'بدء اللعبة',
+  'action.startVote': 'بدء التصويت',
+  'action.castVote': 'التصويت',
+  'action.savePreference': 'حفظ التفضيل',
+  'action.breakTie': 'حسم التعادل',
+  'action.submitGuess': 'إرسال التخمين',
+  'action.continue': 'المتابعة',
+  'action.endRound': 'إنهاء الجولة',
+  'action.sendMessage': 'إرسال الرسالة',
+  'action.updateSettings': 'تحديث الإعدادات',
+  'action.uploadPack': 'رفع حزمة الكلمات',
+  'action.advanceTurn': 'الانتقال إلى السؤال التالي',
+  'action.leaveRoom': 'مغادرة الغرفة',
+  'action.removePlayer': 'إزالة اللاعب',
+  'action.promoteSpectator': 'ضمّ المشاهد إلى اللاعبين',
+  'action.addBot': 'إضافة لاعب آلي',
+
+  // System chat messages from the server
+  'chat.discussionOver': 'انتهى وقت النقاش!',
+  'chat.votingClosed': 'انتهى الوقت! أُغلق التصويت.',
+  'chat.runoffClosed': 'انتهى الوقت! أُغلق تصويت الإعادة.',
+  'chat.questionTimeUp': 'انتهى وقت هذا السؤال!',
+  'chat.lapsDone': 'انتهت كل لفات الأسئلة ({laps}).',
+  'chat.playerJoined': 'انضم {name} إلى الغرفة.',
+  'chat.gameStarting': 'اللعبة تبدأ!',
+  'chat.everyoneVoted': 'صوّت الجميع.',
+  'chat.wordPackAdded': 'أضاف {name} حزمة الكلمات "{pack}" ({words} كلمة).',
+  'chat.votingStarted': 'بدأ التصويت! صوّت لمن تظنه الجاسوس.',
+  'chat.votingEnded': 'انتهى التصويت.',
+  'chat.mostVotedTie': ({ names }) => `الأكثر أصواتاً (تعادل): ${listAr(names)}.`,
+  'chat.mostVoted': ({ name, votes }) => `الأكثر أصواتاً: ${name ?? '?'} بـ ${votes} أصوات.`,
+  'chat.noVotes': 'لم يصوّت أحد.',
+  'chat.tiedForSeats': ({ names, seats }) => `${listAr(names)} متعادلون على ${seats > 1 ? `آخر ${seats} اتهامات` : 'الاتهام الأخير'}.`,
+  'chat.runoffStarted': 'تصويت إعادة: اختاروا بينهم!',
+  'chat.hostWillDecide': 'المضيف سيقرر.',
+  'chat.spiesWinTie': 'التعادل لصالح الجواسيس، فلا يُتهم أحد من المتعادلين.',
+  'chat.runoffResult': ({ results }) => `نتيجة الإعادة: ${listAr(results.map(r => `${r.name ?? '?'} ${r.votes}`))}.`,
+  'chat.runoffStillTied': 'ما زال التعادل قائماً، فالتعادل لصالح الجواسيس.',
+  'chat.hostAccused': ({ names }) => `اتهم المضيف ${listAr(names)}.`,
+  'chat.tieSettledByLeave': 'غادر {name}، فحُسم التعادل.',
+  'chat.markedSpies': ({ name, count, points, undercover }) => {
+    const found = count > 1 ? `لـ${count} ${undercover ? 'متخفين' : 'جواسيس'}` : undercover ? 'للمتخفي' : 'للجاسوس';
+    return `صوّت ${name} بشكل صحيح ${found} ويحصل على ${points} نقطة!`;
+  },
+  'chat.abstained': 'امتنع {name} عن التصويت.',
+  'chat.missedSpy': ({ name, undercover, spyCount }) => `لم يصوّت ${name} ${undercover ? 'للمتخفي' : spyCount > 1 ? 'لأي جاسوس' : 'للجاسوس'}.`,
+  'chat.unanimousBonus': 'يحصل {name} على {points} نقطة إضافية لإجماع الكشف!',
+  'chat.spyCaught': (params) => `تم كشف ${params.name} (${spyLabelAr(params)})! لا نقاط له هذه الجولة.`,
+  'chat.spyEscaped': (params) => `نجا ${params.name} (${spyLabelAr(params)}) ويحصل على ${params.points} نقطة!`,
+  'chat.spySteals': ({ name, victims }) => `يسرق ${name} ${victimsAr(victims)}!`,
+  'chat.summarySpyCaught': (params) => `كُشف ${params.name} (${spyLabelAr(params)}) بـ ${params.votes} أصوات!`,
+  'chat.summarySpyEscaped': (params) => `نجا ${params.name} (${spyLabelAr(params)}) بـ ${params.votes} أصوات ضده ويحصل على ${params.points} نقطة!`,
+  'chat.summarySpySteals': ({ victims }) => `ويسرق ${victimsAr(victims)}.`,
+  'chat.roundWords': ({ word, undercoverWord }) => `الكلمة كانت: ${word}.${undercoverWord ? ` كلمة المتخفي كانت: ${undercoverWord}.` : ''}`,
+  'chat.spyNoGuess': 'لم يخمّن {name}.',
+  'chat.spyGuessRight': 'خمّن {name} "{guess}" وأصاب! يسرق {points} نقطة.',
+  'chat.spyGuessWrong': 'خمّن {name} "{guess}"... خطأ!',
+  'chat.summarySpyGuess': ({ name, guess, correct }) => guess === null ? `لم يخمّن ${name}.` : `خمّن ${name} "${guess}" (${correct ? 'صحيح' : 'خطأ'}).`,
+  'chat.spyGuessChance': ({ names }) => names.length > 1
+    ? 'للجواسيس المكشوفين فرصة أخيرة: خمّنوا الكلمة لتسرقوا الجولة!'
+    : `تم كشف ${names[0]}، لكن لديه فرصة أخيرة: خمّن الكلمة لتسرق الجولة!`,
+  'chat.roundStarting': 'بدء الجولة {round}...',
+  'chat.notEnoughToAssign': 'لا يوجد لاعبون كافون لتوزيع الأدوار. إعادة ضبط اللعبة.',
+  'chat.newRound': 'بدأت جولة جديدة! تم توزيع الأدوار.',
+  'chat.discussionFlow': ({ turns }) => `ترتيب الأسئلة المقترح: ${turnsAr(turns)}`,
+  'chat.discussionFlowUpdated': ({ turns }) => `ترتيب الأسئلة بعد التحديث: ${turnsAr(turns)}`,
+  'chat.gameReset': 'تمت إعادة ضبط اللعبة.',
+  'chat.playerReconnected': 'عاد {name} للاتصال.',
+  'chat.newHost': '{name} هو المضيف الآن.',
+  'chat.notEnoughLeft': 'لم يتبق لاعبون كافون. إعادة ضبط اللعبة.',
+  'chat.spyLeftRoundVoid': ({ name, undercover }) => `غادر ${undercover ? 'المتخفي' : 'الجاسوس'} (${name}) اللعبة.`,
+  'chat.roundVoided': 'لا تُحتسب هذه الجولة.',
+  'chat.spyLeftRoundGoesOn': ({ undercover }) => `غادر ${undercover ? 'أحد المتخفين' : 'أحد الجواسيس'} اللعبة. تستمر الجولة مع البقية.`,
+  'chat.playerLeft': 'غادر {name} الغرفة.',
+  'chat.playerKicked': 'طرد المضيف {name}.',
+  'chat.playerBanned': 'حظر المضيف {name}.',
+  'chat.playerDisconnected': 'انقطع اتصال {name}.',
+  'chat.spectatorJoined': 'يشاهد {name} اللعبة.',
+  'chat.spectatorPromoted': 'انضم {name} إلى اللاعبين.',
+  'chat.botAdded': 'انضم اللاعب الآلي {name} إلى الطاولة.',
+};
+
+const en = {
+  'app.title': '🎭 Out of Context',
+  'language': 'Language',
+
+  'join.name': 'Your name',
+  'join.roomCode': 'Room code',
+  'join.watchOnly': 'Watch only',
+  'join.submit': 'Join',
+  'join.password': 'Room password',
+  'join.roomFull': 'This room is full. Join as a spectator instead?',
+  'create.title': 'New room',
+  'create.visibility': 'Visibility:',
+  'create.password': 'Password (optional)',
+  'create.submit': 'Create room',
+  'visibility.public': 'Public',
+  'visibility.private': 'Private',
+  'lobby.title': 'Public rooms',
+  'lobby.empty': 'No public rooms are waiting for players right now.',
+  'lobby.hostedBy': "{host}'s room",
+  'lobby.passwordProtected': 'Password protected',
+  'lobby.players': ({ count, max }) => max ? `${count}/${max} players` : count === 1 ? '1 player' : `${count} players`,
+  'lobby.spectators': ({ count }) => count === 1 ? '1 spectator' : `${count} spectators`,
+  'lobby.wordPacks': 'Packs: {packs}',
+
+  'room.code': 'Room:',
+  'room.round': '(Round {round})',
+  'room.leave': 'Leave room',
+  'room.leaveConfirm': 'Leave the room?',
+  'room.banned': 'You have been banned from this room.',
+  'room.kicked': 'You were kicked from the room.',
+  'room.expired': 'This room has expired because nobody was using it. Create a new room to keep playing.',
+
+  'players.title': 'Players ({count}):',
+  'players.host': '(host)',
+  'players.bot': 'Bot, played by the server',
+  'players.addBot': 'Add a bot',
+  'players.disconnected': '(offline)',
+  'voteStatus.pending': 'Has not voted yet',
+  'voteStatus.voted': 'Voted',
+  'voteStatus.abstained': 'Abstained',
+  'moderation.kick': 'Kick',
+  'moderation.ban': 'Ban',
+  'moderation.banConfirm': 'Ban {name} from this room for good?',
+  'moderation.promote': 'Make player',
+  'spectators.title': 'Spectators ({count}):',
+  'spectators.watching': 'You are watching this game. The host can add you to the players between games.',
+  'spectators.waiting': 'You are a spectator. Waiting for the host to add you to the players.',
+
+  'summary.gameOver': 'Game over!',
+  'summary.round': 'Round',
+  'summary.word': 'Word',
+  'summary.spy': 'Spy',
+  'summary.result': 'Result',
+  'summary.voided': 'Voided',
+  'summary.escaped': 'Escaped ✅',
+  'summary.caught': 'Caught ❌',
+  'summary.playAgain': 'Play again with the same players',
+  'summary.backToRoom': 'Back to the room',
+  'award.bestDetective': '🔍 Best detective',
+  'award.bestDetective.count': '{count} correct votes',
+  'award.masterSpy': '🕶 Master spy',
+  'award.masterSpy.count': 'Escaped {count} times',
+
+  'settings.title': 'Game settings:',
+  'settings.save': 'Save settings',
+  'settings.hint': 'Times are in seconds, 0 = no limit. 0 laps = the host opens the vote.',
+  'settings.knowFellowSpies': "If I'm a spy, show me the other spies",
+  'setting.mode': 'Game mode',
+  'setting.tiePolicy': 'On a tie',
+  'setting.ballot': 'Ballot',
+  'setting.scoring': 'Scoring rules',
+  'setting.maxRounds': 'Rounds',
+  'setting.spyCount': 'Spies',
+  'setting.voteThresholdPercent': 'Votes needed to catch a spy (%)',
+  'setting.civilianPoints': 'Civilian points',
+  'setting.spyPoints': 'Spy points',
+  'setting.spyGuessPoints': 'Spy guess points',
+  'setting.bonusPoints': 'Bonus / steal points',
+  'setting.discussionSeconds': 'Discussion time',
+  'setting.votingSeconds': 'Voting time',
+  'setting.turnSeconds': 'Time per question',
+  'setting.discussionLaps': 'Question laps before voting',
+  'mode.classic': 'Classic (spy has no word)',
+  'mode.undercover': 'Undercover (similar word)',
+  'tiePolicy.runoff': 'Runoff vote between the tied players',
+  'tiePolicy.spyWins': 'Ties go to the spy',
+  'tiePolicy.hostDecides': 'The host decides',
+  'ballot.secret': 'Secret',
+  'ballot.open': 'Open (votes show live)',
+  'scoring.classic': 'Classic',
+  'scoring.unanimousBonus': 'Bonus for a unanimous catch',
+  'scoring.spySteals': 'Escaping spy steals points',
+
+  'packs.title': 'Word packs:',
+  'packs.pairs': '{count} pairs',
+  'packs.upload': 'Upload a custom pack (JSON / CSV):',
+
+  'history.title': 'Match history:',
+  'history.rounds': '{count} rounds',
+  'history.winner': 'Winner: {name} ({score})',
+  'history.unfinished': 'unfinished',
+  'history.download': 'Download JSON',
+  'history.word': 'Word:',
+  'history.voided': 'Round voided',
+  'history.caught': 'caught',
+  'history.escaped': 'escaped',
+  'history.guessed': '(guessed "{guess}")',
+
+  'lobby.startGame': 'Start game',
+
+  'role.undercover': 'You were undercover! Your word was:',
+  'role.spy': ({ count }) => count > 1 ? `You are one of the spies (${count})!` : 'You are the spy!',
+  'role.word': 'The word:',
+  'role.fellowSpies': 'Your fellow spies: {names}',
+  'role.showFellowSpies': 'Show me the other spies',
+
+  'discussion.title': ({ lap, laps }) => laps ? `Discussion (lap ${lap} of ${laps}):` : 'Discussion:',
+  'discussion.yourTurn': 'Your turn! Ask {name}',
+  'discussion.askingYou': '{name} is asking you',
+  'discussion.asking': '{asker} is asking {target}',
+  'discussion.next': 'Next question',
+  'discussion.ongoing': 'Discussion in progress...',
+
+  'voting.ongoing': 'Voting is open!',
+  'tie.between': 'Tie between: {names}',
+  'tie.runoff': ' — runoff vote in progress!',
+  'tie.choose': ' — choose who to accuse:',
+  'tie.waitingHost': ' — waiting for the host to decide...',
+  'tie.confirm': 'Confirm accusation',
+
+  'spyGuess.waiting': ({ count }) => count > 1 ? 'The spies were caught! Waiting for their guesses...' : 'The spy was caught! Waiting for their guess...',
+  'spyGuess.prompt': 'You were caught! Guess the word to steal the round:',
+  'spyGuess.placeholder': 'Or type your guess',
+  'spyGuess.submit': 'Guess',
+
+  'round.ended': 'The round is over, wait for the next one.',
+  'round.waiting': 'Waiting for the first round to start.',
+
+  'reveal.title': 'Round {round} result',
+  'reveal.word': 'Word:',
+  'reveal.undercoverWord': 'Undercover word:',
+  'reveal.voided': 'The round was voided because the spy left.',
+  'reveal.caught': 'caught',
+  'reveal.escaped': 'escaped',
+  'reveal.guessed': 'guessed "{guess}"',
+  'reveal.player': 'Player',
+  'reveal.votedFor': 'Voted for',
+  'reveal.votesAgainst': 'Votes against',
+  'reveal.points': 'Points',
+  'reveal.finalResults': 'Final results',
+  'reveal.nextRound': 'Next round',
+  'reveal.waitingHost': 'Waiting for the host to continue...',
+  'scoreReason.markedSpies': ({ count }) => `voted for the spy${count > 1 ? ` (${count})` : ''}`,
+  'scoreReason.unanimousCatch': 'unanimous catch bonus',
+  'scoreReason.escaped': 'escaped the vote',
+  'scoreReason.stolenBySpy': 'stolen by {name}',
+  'scoreReason.stoleFromTable': 'stolen from {count} players',
+  'scoreReason.guessedWord': 'guessed the word',
+
+  'host.startVote': 'Start the vote now',
+  'host.endRound': 'End round (host)',
+
+  'vote.chooseUpTo': ({ count, undercover }) => `Pick up to ${count} players you think are ${undercover ? 'undercover' : 'spies'}:`,
+  'vote.placeholder': ({ undercover }) => undercover ? 'Vote for who you think is undercover' : 'Vote for who you think is the spy',
+  'vote.abstained': 'You abstained.',
+  'vote.current': 'Your current vote: {names}',
+  'vote.canChange': 'You can change it until voting closes.',
+  'vote.change': 'Change vote',
+  'vote.submit': 'Submit vote',
+  'vote.abstain': 'Abstain',
+
+  'chat.placeholder': 'Type a message',
+  'chat.spectatorPlaceholder': 'Message the other spectators',
+  'chat.spectatorChannel': 'Spectator chat',
+  'chat.send': 'Send',
+
+  'errors.enterNameAndRoom': 'Please enter both your name and a room code.',
+  'errors.enterName': 'Please enter your name.',
+  'errors.selectVote': 'Please select a player to vote for.',
+  'errors.rejected': 'Error {action}: {error}',
+  'errors.failed': 'Something went wrong while {action}. Please try again.',
+  'action.joinRoom': 'joining room',
+  'action.createRoom': 'creating room',
+  'action.startGame': 'starting game',
+  'action.startVote': 'starting vote',
+  'action.castVote': 'casting vote',
+  'action.savePreference': 'saving preference',
+  'action.breakTie': 'breaking tie',
+  'action.submitGuess': 'submitting guess',
+  'action.continue': 'continuing',
+  'action.endRound': 'ending round',
+  'action.sendMessage': 'sending message',
+  'action.updateSettings': 'updating settings',
+  'action.uploadPack': 'uploading word pack',
+  'action.advanceTurn': 'moving to the next question',
+  'action.leaveRoom': 'leaving room',
+  'action.removePlayer': 'removing player',
+  'action.promoteSpectator': 'adding the spectator to the players',
+  'action.addBot': 'adding a bot',
+
+  // System chat messages from the server
+  'chat.discussionOver': 'Discussion time is over!',
+  'chat.votingClosed': "Time's up! Voting is closed.",
+  'chat.runoffClosed': "Time's up! The runoff is closed.",
+  'chat.questionTimeUp': "Time's up for this question!",
+  'chat.lapsDone': 'All {laps} lap(s) of questions are done.',
+  'chat.playerJoined': '{name} has joined the room.',
+  'chat.gameStarting': 'Game is starting!',
+  'chat.everyoneVoted': 'Everyone has voted.',
+  'chat.wordPackAdded': '{name} added the word pack "{pack}" ({words} words).',
+  'chat.votingStarted': 'Voting has started! Vote for who you think is the spy.',
+  'chat.votingEnded': 'Voting ended.',
+  'chat.mostVotedTie': ({ names }) => `Most voted (tie): ${listEn(names)}.`,
+  'chat.mostVoted': ({ name, votes }) => `Most voted: ${name ?? '?'} with ${votes} votes.`,
+  'chat.noVotes': 'No votes cast.',
+  'chat.tiedForSeats': ({ names, seats }) => `${listEn(names)} are tied for the last ${seats > 1 ? `${seats} accusations` : 'accusation'}.`,
+  'chat.runoffStarted': 'Runoff vote: choose between them!',
+  'chat.hostWillDecide': 'The host will decide.',
+  'chat.spiesWinTie': 'Spies win ties, so nobody in the tie is accused.',
+  'chat.runoffResult': ({ results }) => `Runoff: ${listEn(results.map(r => `${r.name ?? '?'} ${r.votes}`))}.`,
+  'chat.runoffStillTied': 'Still tied, so the spies win the tie.',
+  'chat.hostAccused': ({ names }) => `The host accused ${listEn(names)}.`,
+  'chat.tieSettledByLeave': '{name} left, so the tie is settled.',
+  'chat.markedSpies': ({ name, count, points, undercover }) => {
+    const found = count > 1 ? `${count} ${undercover ? 'undercover players' : 'spies'}` : undercover ? 'an undercover player' : 'a spy';
+    return `${name} correctly voted for ${found} and gets ${points} point(s)!`;
+  },
+  'chat.abstained': '{name} abstained.',
+  'chat.missedSpy': (params) => `${params.name} did not vote for ${params.undercover ? 'the undercover player' : spyLabelEn(params)}.`,
+  'chat.unanimousBonus': '{name} gets {points} bonus point(s) for a unanimous catch!',
+  'chat.spyCaught': (params) => `${params.name} (${spyLabelEn(params)}) was caught! No point for them this round.`,
+  'chat.spyEscaped': (params) => `${params.name} (${spyLabelEn(params)}) escaped and gets ${params.points} point(s)!`,
+  'chat.spySteals': ({ name, victims }) => `${name} steals ${victimsEn(victims)}!`,
+  'chat.summarySpyCaught': (params) => `${params.name} (${spyLabelEn(params)}) was caught with ${params.votes} votes!`,
+  'chat.summarySpyEscaped': (params) => `${params.name} (${spyLabelEn(params)}) escaped with ${params.votes} votes against them and gets ${params.points} point(s)!`,
+  'chat.summarySpySteals': ({ victims }) => `They steal ${victimsEn(victims)}.`,
+  'chat.roundWords': ({ word, undercoverWord }) => `The word was: ${word}.${undercoverWord ? ` The undercover word was: ${undercoverWord}.` : ''}`,
+  'chat.spyNoGuess': "{name} didn't make a guess.",
+  'chat.spyGuessRight': '{name} guessed "{guess}" and got it right! They steal {points} point(s).',
+  'chat.spyGuessWrong': '{name} guessed "{guess}"... wrong!',
+  'chat.summarySpyGuess': ({ name, guess, correct }) => guess === null ? `${name} didn't guess.` : `${name} guessed "${guess}" (${correct ? 'correct' : 'wrong'}).`,
+  'chat.spyGuessChance': ({ names }) => names.length > 1
+    ? 'The caught spies get one last chance: guess the word to steal the round!'
+    : `${names[0]} was caught, but gets one last chance: guess the word to steal the round!`,
+  'chat.roundStarting': 'Starting Round {round}...',
+  'chat.notEnoughToAssign': 'Not enough players to assign roles. Resetting game.',
+  'chat.newRound': 'New round started! Roles assigned.',
+  'chat.discussionFlow': ({ turns }) => `Suggested Discussion Flow: ${turnsEn(turns)}`,
+  'chat.discussionFlowUpdated': ({ turns }) => `Updated Discussion Flow: ${turnsEn(turns)}`,
+  'chat.gameReset': 'Game has been reset.',
+  'chat.playerReconnected': '{name} reconnected.',
+  'chat.newHost': '{name} is now the host.',
+  'chat.notEnoughLeft': 'Not enough players left. Resetting game.',
+  'chat.spyLeftRoundVoid': ({ name, undercover }) => `${undercover ? 'The undercover player' : 'The spy'} (${name}) left the game.`,
+  'chat.roundVoided': "The round doesn't count.",
+  'chat.spyLeftRoundGoesOn': ({ undercover }) => `${undercover ? 'An undercover player' : 'A spy'} left the game. The round goes on with the others.`,
+  'chat.playerLeft': '{name} left the room.',
+  'chat.playerKicked': '{name} was kicked by the host.',
+  'chat.playerBanned': '{name} was banned by the host.',
+  'chat.playerDisconnected': '{name} lost connection.',
+  'chat.spectatorJoined': '{name} is watching.',
+  'chat.spectatorPromoted': '{name} joined the players.',
+  'chat.botAdded': 'Bot {name} joined the table.',
+};
+
+const translations = { ar, en };
+
+// t(key, params) for one language, falling back to English and then to the key itself.
+// t.list(items) joins names the way the language does.
+export const createTranslator = (language) => {
+  const t = (key, params = {}) => {
+    const entry = translations[language][key] ?? translations.en[key];
+    if (entry === undefined) return key;
+    if (typeof entry === 'function') return entry(params);
+    return entry.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? '');
+  };
+  t.list = language === 'ar' ? listAr : listEn;
+  return t;
+};
@@ -0,0 +1,268 @@
+// What bots say about the built-in words: a few clue lines per word, by pack id,
+// the kind of thing a civilian says to show they know the word without naming it.
+// Bots also read these lists to judge other players' answers (see bots.js).
+// Words without hints (custom packs) fall back to CATEGORY_HINTS.
+
+export const WORD_HINTS = {
+    "en-animals": {
+        Cat: ["It purrs when it's happy", "Loves napping in a sunny window", "Chases mice and balls of yarn"],
+        Dog: ["Wags its tail when you come home", "Needs a walk every day", "Barks at the postman"],
+        Elephant: ["Huge ears and a long trunk", "Never forgets, they say", "Ivory tusks, grey skin"],
+        Lion: ["Has a big golden mane", "King of the savanna", "Its roar carries for miles"],
+        Monkey: ["Swings from branch to branch", "Loves bananas", "Clever hands, long tail"],
+        Rabbit: ["Long ears, fluffy tail", "Hops around and eats carrots", "Digs burrows underground"],
+        Chicken: ["Lays eggs every morning", "Clucks around the farmyard", "Has feathers but barely flies"],
+        Horse: ["You ride it with a saddle", "Gallops and neighs", "Eats hay in a stable"],
+        Shark: ["Sharp teeth, fin above the water", "Swims in the ocean hunting", "Smells blood from far away"],
+        Eagle: ["Soars high over mountains", "Sharp talons and amazing eyesight", "A bird on many flags"],
+        Tiger: ["Orange fur with black stripes", "A big cat from Asian jungles", "Hunts alone at night"],
+        Wolf: ["Howls at the moon", "Hunts in a pack", "Grey fur, lives in forests"],
+        Fox: ["Red fur and a bushy tail", "Known for being sly", "Sneaks into henhouses"],
+        Bear: ["Sleeps all winter", "Loves honey and fish", "Big, furry, strong claws"],
+        Deer: ["Males grow antlers", "Runs through the forest", "Gentle eyes, quick legs"],
+        Giraffe: ["The tallest neck around", "Eats leaves from treetops", "Spotted coat, long legs"],
+        Zebra: ["Black and white stripes", "Runs across the savanna in herds", "Looks like a striped pony"],
+        Kangaroo: ["Carries its baby in a pouch", "Hops on strong back legs", "Lives in Australia"],
+        Panda: ["Black and white, eats bamboo", "Lazy and cuddly looking", "Lives in the mountains of China"],
+        Dolphin: ["Smart and playful in the sea", "Jumps out of the waves", "Talks with clicks and whistles"],
+        Whale: ["The biggest creature in the ocean", "Sprays water from its blowhole", "Sings deep songs underwater"],
+        Penguin: ["Waddles on the ice", "A bird that swims instead of flying", "Looks like it wears a tuxedo"],
+        Crocodile: ["Lurks in rivers with big jaws", "Scaly skin, long tail", "Sheds fake tears, they say"],
+        Snake: ["Slithers without legs", "Hisses and sheds its skin", "Some kinds have venom"],
+        Frog: ["Croaks near the pond", "Jumps on lily pads", "Starts life as a tadpole"],
+        Turtle: ["Carries its house on its back", "Slow but steady", "Hides inside a hard shell"],
+        Parrot: ["Colorful feathers and repeats words", "Sits on a pirate's shoulder", "Cracks seeds with a curved beak"],
+        Owl: ["Hoots at night", "Turns its head almost all the way round", "Big round eyes, wise reputation"],
+        Peacock: ["Shows off an amazing tail", "Feathers with eye patterns", "Struts around palace gardens"],
+        Camel: ["Has humps and crosses the desert", "Goes days without drinking", "Carries loads through the sand"],
+        Goat: ["Climbs rocks with ease", "Has a little beard", "Eats almost anything, gives milk"],
+        Sheep: ["Gives us wool", "Baas in a flock", "Counted when you can't sleep"],
+        Cow: ["Gives milk on the farm", "Moos and eats grass all day", "Black and white spots sometimes"],
+        Pig: ["Rolls in mud to cool off", "Pink with a curly tail", "Oinks on the farm"],
+        Mouse: ["Tiny and squeaks", "Loves cheese in cartoons", "Hides in little holes in the wall"],
+        Rat: ["Lives in sewers", "Long bare tail", "Bigger cousin of a tiny squeaker"],
+        Squirrel: ["Stores nuts for winter", "Bushy tail, climbs trees", "Runs around the park"],
+        Hedgehog: ["Covered in spikes", "Rolls into a ball when scared", "Small and snuffles at night"],
+        Bee: ["Buzzes from flower to flower", "Makes honey in a hive", "Can sting you"],
+        Butterfly: ["Colorful wings", "Starts as a caterpillar", "Flutters over flowers"],
+    },
+    "ar-animals": {
+        "قطة": ["تخرخر عندما تكون سعيدة", "تحب النوم تحت الشمس", "تطارد الفئران وكرات الصوف"],
+        "كلب": ["يهز ذيله عندما تعود إلى البيت", "يحتاج إلى نزهة كل يوم", "ينبح على الغرباء ويحرس البيت"],
+        "فيل": ["أذنان كبيرتان وخرطوم طويل", "يقولون إنه لا ينسى أبدًا", "أنياب من العاج وجلد رمادي"],
+        "أسد": ["له لبدة ذهبية كبيرة", "ملك الغابة", "زئيره يسمع من بعيد"],
+        "قرد": ["يتأرجح من غصن إلى غصن", "يحب الموز", "ذكي ويقلد الناس"],
+        "أرنب": ["أذنان طويلتان وذيل صغير", "يقفز ويأكل الجزر", "يحفر جحورًا تحت الأرض"],
+        "دجاجة": ["تبيض كل صباح", "تنقر الحبوب في الحظيرة", "لها ريش لكنها بالكاد تطير"],
+        "حصان": ["تركبه بسرج", "يصهل ويعدو بسرعة", "يأكل التبن في الإسطبل"],
+        "قرش": ["أسنان حادة وزعنفة فوق الماء", "يصطاد في المحيط", "يشم الدم من بعيد"],
+        "نسر": ["يحلق عاليًا فوق الجبال", "مخالب حادة ونظر قوي", "طائر على أعلام كثيرة"],
+        "نمر": ["فرو برتقالي بخطوط سوداء", "قط كبير من غابات آسيا", "يصطاد وحده في الليل"],
+        "ذئب": ["يعوي في الليل", "يصطاد مع القطيع", "فروه رمادي ويعيش في الغابات"],
+        "ثعلب": ["فرو أحمر وذيل كثيف", "مشهور بالمكر", "يتسلل إلى قن الدجاج"],
+        "دب": ["ينام طوال الشتاء", "يحب العسل والسمك", "ضخم وفروه كثيف ومخالبه قوية"],
+        "غزال": ["رشيق وسريع الجري", "عيونه جميلة يتغزل بها الشعراء", "يعيش في البراري ويهرب من الصيادين"],
+        "زرافة": ["أطول رقبة في الحيوانات", "تأكل أوراق الأشجار العالية", "جلدها مرقط وأرجلها طويلة"],
+        "حمار وحشي": ["خطوط سوداء وبيضاء", "يركض في السهول مع القطيع", "يشبه مهرًا مخططًا"],
+        "كنغر": ["يحمل صغيره في جيب", "يقفز على رجليه الخلفيتين", "يعيش في أستراليا"],
+        "باندا": ["أبيض وأسود ويأكل الخيزران", "كسول ولطيف الشكل", "يعيش في جبال الصين"],
+        "دلفين": ["ذكي ويحب اللعب في البحر", "يقفز فوق الأمواج", "يتواصل بالصفير"],
+        "حوت": ["أكبر مخلوق في المحيط", "يرش الماء من أعلى رأسه", "يغني أغاني عميقة تحت الماء"],
+        "بطريق": ["يمشي متمايلًا على الجليد", "طائر يسبح بدل أن يطير", "يبدو كأنه يلبس بدلة رسمية"],
+        "تمساح": ["يكمن في الأنهار بفكين ضخمين", "جلده حرشفي وذيله طويل", "يقولون دموعه كاذبة"],
+        "ثعبان": ["يزحف بلا أرجل", "يفح ويغير جلده", "بعض أنواعه سام"],
+        "ضفدع": ["ينق قرب البركة", "يقفز على أوراق النيلوفر", "يبدأ حياته شرغوفًا"],
+        "سلحفاة": ["تحمل بيتها على ظهرها", "بطيئة لكنها تصل", "تختبئ داخل صدفة صلبة"],
+        "ببغاء": ["ريشه ملون ويردد الكلام", "يقف على كتف القرصان", "منقاره معقوف يكسر البذور"],
+        "بومة": ["تنعق في الليل", "تدير رأسها إلى الخلف تقريبًا", "عيون كبيرة مستديرة"],
+        "طاووس": ["يتباهى بذيل رائع", "ريش عليه رسوم كالعيون", "يتبختر في حدائق القصور"],
+        "جمل": ["سفينة الصحراء", "يصبر أيامًا بلا ماء", "له سنام ويحمل الأثقال في الرمال"],
+        "ماعز": ["يتسلق الصخور بسهولة", "له لحية صغيرة", "يأكل كل شيء تقريبًا ويعطي الحليب"],
+        "خروف": ["نأخذ منه الصوف", "يثغو مع القطيع", "نراه كثيرًا في العيد الكبير"],
+        "بقرة": ["تعطي الحليب في المزرعة", "تخور وترعى العشب طوال اليوم", "أحيانًا بقع سوداء وبيضاء"],
+        "فأر": ["صغير ويصيء", "يحب الجبن في الرسوم المتحركة", "يختبئ في ثقوب الجدران"],
+        "سنجاب": ["يخزن البندق للشتاء", "ذيل كثيف ويتسلق الأشجار", "يركض في الحدائق"],
+        "قنفذ": ["مغطى بالأشواك", "يتكور عندما يخاف", "صغير ويخرج في الليل"],
+        "نحلة": ["تطن من زهرة إلى زهرة", "تصنع العسل في الخلية", "قد تلسعك"],
+        "فراشة": ["أجنحة ملونة", "تبدأ يرقة", "ترفرف فوق الأزهار"],
+    },
+    "en-foods": {
+        Pizza: ["Round, cheesy and sliced into triangles", "Comes from Italy, baked in an oven", "Delivered in a flat box"],
+        Burger: ["A patty between two buns", "Fast food with fries on the side", "Add cheese, lettuce and ketchup"],
+        Couscous: ["Tiny grains steamed with vegetables", "A Friday lunch in North Africa", "Served with a meat and vegetable stew"],
+        Falafel: ["Fried balls of chickpeas", "Street food wrapped in bread with tahini", "Crispy outside, green inside"],
+        Shawarma: ["Meat shaved from a turning spit", "Wrapped with garlic sauce", "Late night street food"],
+        Sushi: ["Raw fish on rice", "Eaten with chopsticks and soy sauce", "Rolled in seaweed"],
+        Pasta: ["Boiled noodles with sauce", "Spaghetti is one kind", "Italian, goes with tomato and parmesan"],
+        Rice: ["Small white grains you boil", "Goes under almost every stew", "Eaten every day in Asia"],
+        Bread: ["Baked from flour and yeast", "You slice it for sandwiches", "Fresh from the oven every morning"],
+        Cheese: ["Made from milk and aged", "Melts on top of things", "Mice love it in cartoons"],
+        Chocolate: ["Sweet, brown, made from cocoa", "Melts in your pocket", "A classic gift in a heart-shaped box"],
+        "Ice Cream": ["Cold and sweet, served in a cone", "Melts fast in summer", "Comes in vanilla and many flavours"],
+        Soup: ["Hot and eaten with a spoon", "Good when you're sick", "Served in a bowl, often before dinner"],
+        Salad: ["Lettuce, tomato and cucumber", "A healthy side with dressing", "Fresh vegetables tossed together"],
+        Kebab: ["Grilled meat on a skewer", "Cooked over charcoal", "Minced meat shaped around a stick"],
+        Pancake: ["Flat and round, cooked in a pan", "Stacked up with syrup for breakfast", "You flip it halfway through"],
+        Omelette: ["Beaten eggs folded over", "Breakfast with cheese or vegetables", "Cooked quickly in a frying pan"],
+        Dates: ["Sweet fruit from palm trees", "Eaten to break the fast", "Sticky and brown with a long seed"],
+        Hummus: ["Creamy chickpea dip", "Made with tahini and lemon", "Scooped up with pita bread"],
+        Tajine: ["Slow cooked in a clay pot with a cone lid", "Moroccan stew with prunes or olives", "Named after the dish it's cooked in"],
+        Sandwich: ["Fillings between two slices", "Packed for school lunch", "Quick to make, easy to carry"],
+        Cake: ["Baked for birthdays with candles", "Sweet layers with frosting", "Cut into slices at parties"],
+        Cookie: ["Small, round and baked until crunchy", "Dipped in milk", "Chocolate chips are a classic"],
+        Yogurt: ["Thick and sour, made from milk", "Eaten with a spoon from a little cup", "Good with fruit or cucumber"],
+        Honey: ["Sticky, golden and made by bees", "Sweetens tea", "Comes from a hive"],
+    },
+    "ar-foods": {
+        "بيتزا": ["مستديرة بالجبن وتقطع مثلثات", "أصلها إيطالي وتخبز في الفرن", "تصلك في علبة مسطحة"],
+        "برغر": ["قطعة لحم بين خبزتين", "وجبة سريعة مع البطاطا المقلية", "تضيف الجبن والخس والكاتشب"],
+        "كسكس": ["حبيبات صغيرة تطبخ على البخار مع الخضار", "غداء يوم الجمعة في المغرب العربي", "يقدم مع مرق اللحم والخضار"],
+        "فلافل": ["كرات مقلية من الحمص", "أكلة شارع تلف في الخبز مع الطحينة", "مقرمشة من الخارج وخضراء من الداخل"],
+        "شاورما": ["لحم يقطع من سيخ يدور", "تلف مع صلصة الثوم", "أكلة الشارع في آخر الليل"],
+        "سوشي": ["سمك نيء على الأرز", "يؤكل بالعيدان مع صلصة الصويا", "ملفوف بورق البحر"],
+        "معكرونة": ["تسلق وتقدم مع الصلصة", "السباغيتي نوع منها", "إيطالية مع الطماطم والبارميزان"],
+        "أرز": ["حبوب بيضاء صغيرة تسلق", "يقدم تحت كل أنواع المرق", "يؤكل كل يوم في آسيا"],
+        "خبز": ["يخبز من الطحين والخميرة", "نقطعه للسندويشات", "طازج من الفرن كل صباح"],
+        "جبن": ["يصنع من الحليب ويعتق", "يذوب فوق الأطباق", "تحبه الفئران في الرسوم المتحركة"],
+        "شوكولاتة": ["حلوة وبنية من الكاكاو", "تذوب في جيبك", "هدية تقليدية في علبة على شكل قلب"],
+        "بوظة": ["باردة وحلوة تقدم في قمع", "تذوب بسرعة في الصيف", "نكهات كثيرة مثل الفانيليا"],
+        "شوربة": ["ساخنة وتؤكل بالملعقة", "مفيدة عندما تمرض", "تقدم في وعاء قبل العشاء وخاصة في رمضان"],
+        "سلطة": ["خس وطماطم وخيار", "طبق جانبي صحي مع الصلصة", "خضار طازجة مقطعة"],
+        "كباب": ["لحم مشوي على سيخ", "يطبخ على الفحم", "لحم مفروم حول العود"],
+        "فطائر": ["مسطحة ومستديرة تطبخ في المقلاة", "تكدس مع العسل للفطور", "تقلبها في منتصف الطهي"],
+        "عجة": ["بيض مخفوق مع البقدونس والبصل", "فطور سريع في المقلاة", "تقطع مثل الكعكة المسطحة"],
+        "تمر": ["ثمر حلو من النخيل", "نفطر عليه في رمضان", "لزج وبني وبداخله نواة طويلة"],
+        "حمص": ["غموس كريمي من الحبوب المهروسة", "يصنع بالطحينة والليمون", "نغرف منه بالخبز"],
+        "طاجين": ["يطهى ببطء في إناء فخاري بغطاء مخروطي", "مرق مغربي بالبرقوق أو الزيتون", "سمي باسم الإناء الذي يطبخ فيه"],
+        "ساندويتش": ["حشوة بين قطعتي خبز", "نأخذه للمدرسة", "سريع التحضير وسهل الحمل"],
+        "كعكة": ["نخبزها لأعياد الميلاد مع الشموع", "طبقات حلوة مع الكريمة", "تقطع شرائح في الحفلات"],
+        "بسكويت": ["صغير ومستدير ومقرمش", "نغمسه في الحليب أو الشاي", "رقائق الشوكولاتة فيه كلاسيكية"],
+        "لبن": ["كثيف وحامض من الحليب", "يؤكل بالملعقة من علبة صغيرة", "لذيذ مع الخيار أو الفواكه"],
+        "عسل": ["لزج وذهبي يصنعه النحل", "يحلي الشاي", "يأتي من الخلية"],
+    },
+    "en-places": {
+        Airport: ["Planes take off and land here", "You show your passport and wait at a gate", "Suitcases go on a conveyor belt"],
+        Hospital: ["Doctors and nurses work here all night", "Ambulances arrive at the emergency entrance", "You stay in a ward when you're really sick"],
+        School: ["Kids go here every weekday", "Classrooms, a blackboard and homework", "The bell rings for break time"],
+        Beach: ["Sand, waves and sunscreen", "Build sandcastles by the sea", "Umbrellas and towels in summer"],
+        Desert: ["Endless sand dunes", "Hot by day, cold at night", "Camels and the odd oasis"],
+        Mosque: ["People pray here five times a day", "Has a minaret and a dome", "You take your shoes off at the door"],
+        Library: ["Full of shelves of books", "You have to whisper", "Borrow something and bring it back"],
+        Stadium: ["Thousands of fans cheer here", "Matches are played on the pitch", "Floodlights and big screens"],
+        Cinema: ["Big screen, dark room", "Popcorn and a film", "Buy a ticket and find your seat"],
+        Restaurant: ["A waiter brings you a menu", "You pay the bill at the end", "Chefs cook in the back"],
+        Bank: ["Keeps your money safe", "Queue at the counter to withdraw cash", "Has a vault and an ATM outside"],
+        Market: ["Stalls selling fruit and spices", "People haggle over prices", "Busy and noisy in the morning"],
+        Museum: ["Old things behind glass", "Statues and paintings from history", "Guided tours, no touching"],
+        Zoo: ["Animals in enclosures to visit", "Feeding time draws a crowd", "Families go there on weekends"],
+        Park: ["Green grass, benches and swings", "People jog and walk dogs there", "Picnics under the trees"],
+        Hotel: ["Check in at reception for a room", "Room service and a key card", "Where you stay on holiday"],
+        Pharmacy: ["Get your prescription filled", "Sells medicine and plasters", "Look for the green cross sign"],
+        Bakery: ["Smells of fresh bread", "Croissants and cakes in the window", "Ovens on before sunrise"],
+        Mountain: ["You climb to the top", "Snow on the peak", "Hikers and thin air"],
+        Forest: ["Full of tall trees", "Easy to get lost in", "Birds and wild animals live there"],
+        "Train Station": ["Platforms and timetables", "Wait for the carriages to arrive", "Announcements about departures"],
+        Supermarket: ["Push a trolley down the aisles", "Pay at the checkout", "Groceries under one roof"],
+        Gym: ["Lift weights and run on treadmills", "People go there to get fit", "Changing rooms and a membership card"],
+        "Police Station": ["Where you report a crime", "Officers and cells", "Cars with sirens parked outside"],
+        Farm: ["Barns, tractors and fields", "Animals raised for milk and eggs", "Crops harvested in autumn"],
+    },
+    "ar-places": {
+        "مطار": ["تقلع الطائرات وتهبط هنا", "تظهر جواز السفر وتنتظر عند البوابة", "الحقائب على سير متحرك"],
+        "مستشفى": ["أطباء وممرضون يعملون طوال الليل", "سيارات الإسعاف تصل إلى الطوارئ", "تبقى فيه عندما تمرض كثيرًا"],
+        "مدرسة": ["يذهب إليها الأطفال كل صباح", "فصول وسبورة وواجبات", "الجرس يرن وقت الاستراحة"],
+        "شاطئ": ["رمال وأمواج وواقي الشمس", "نبني قلاعًا من الرمل قرب البحر", "مظلات ومناشف في الصيف"],
+        "صحراء": ["كثبان رملية بلا نهاية", "حارة نهارًا وباردة ليلًا", "جمال وواحة هنا وهناك"],
+        "مسجد": ["يصلي فيه الناس خمس مرات في اليوم", "له مئذنة وقبة", "تخلع حذاءك عند الباب"],
+        "مكتبة": ["رفوف مليئة بالكتب", "عليك أن تهمس", "تستعير شيئًا وتعيده"],
+        "ملعب": ["آلاف المشجعين يهتفون هنا", "تقام المباريات على العشب", "أضواء كاشفة وشاشات كبيرة"],
+        "سينما": ["شاشة كبيرة وقاعة مظلمة", "فشار وفيلم", "تشتري تذكرة وتبحث عن مقعدك"],
+        "مطعم": ["النادل يحضر لك قائمة الطعام", "تدفع الحساب في النهاية", "الطهاة يطبخون في الخلف"],
+        "بنك": ["يحفظ أموالك", "طابور عند الشباك لسحب النقود", "فيه خزنة وصراف آلي في الخارج"],
+        "سوق": ["بسطات فواكه وبهارات", "الناس يساومون على الأسعار", "مزدحم وصاخب في الصباح"],
+        "متحف": ["أشياء قديمة خلف الزجاج", "تماثيل ولوحات من التاريخ", "جولات مع مرشد وممنوع اللمس"],
+        "حديقة حيوانات": ["حيوانات في أقفاص للزيارة", "وقت الإطعام يجمع الناس", "تذهب إليها العائلات في العطلة"],
+        "حديقة": ["عشب أخضر ومقاعد وأراجيح", "الناس يركضون ويتمشون فيها", "نزهات تحت الأشجار"],
+        "فندق": ["تسجل في الاستقبال لتأخذ غرفة", "خدمة الغرف وبطاقة المفتاح", "تقيم فيه في الإجازة"],
+        "صيدلية": ["تصرف فيها الوصفة الطبية", "تبيع الأدوية واللصقات", "ابحث عن علامة الصليب الأخضر"],
+        "مخبزة": ["رائحة الخبز الطازج", "كرواسون وحلويات في الواجهة", "الأفران تشتغل قبل الفجر"],
+        "جبل": ["تتسلقه حتى القمة", "ثلج على القمة", "متنزهون وهواء خفيف"],
+        "غابة": ["مليئة بالأشجار العالية", "من السهل أن تضيع فيها", "طيور وحيوانات برية تعيش فيها"],
+        "محطة قطار": ["أرصفة وجداول مواعيد", "تنتظر وصول العربات", "إعلانات عن مواعيد الانطلاق"],
+        "سوبرماركت": ["تدفع عربة بين الممرات", "تدفع عند الصندوق", "كل المشتريات تحت سقف واحد"],
+        "نادي رياضي": ["ترفع الأثقال وتركض على الجهاز", "يذهب إليه الناس للياقة", "غرف تبديل وبطاقة اشتراك"],
+        "مركز شرطة": ["تبلغ فيه عن جريمة", "ضباط وزنازين", "سيارات بصفارات متوقفة في الخارج"],
+        "مزرعة": ["حظائر وجرارات وحقول", "حيوانات تربى للحليب والبيض", "المحاصيل تحصد في الخريف"],
+    },
+    "en-jobs": {
+        Doctor: ["Listens to your heart with a stethoscope", "Writes prescriptions", "Works long shifts treating patients"],
+        Teacher: ["Stands in front of a classroom", "Marks homework and exams", "Has the summer off, supposedly"],
+        Engineer: ["Designs bridges and machines", "Lots of maths and plans", "Wears a hard hat on site"],
+        Pilot: ["Flies the plane from the cockpit", "Talks to passengers over the speaker", "Wears a uniform with stripes"],
+        Chef: ["Runs the kitchen in a white hat", "Tastes everything before it goes out", "Shouts orders during dinner service"],
+        Farmer: ["Wakes up early to feed the animals", "Drives a tractor", "Plants and harvests crops"],
+        "Police Officer": ["Arrests criminals", "Directs traffic with a whistle", "Carries handcuffs and a badge"],
+        Firefighter: ["Puts out fires", "Slides down a pole to the truck", "Rescues cats from trees"],
+        Nurse: ["Takes care of patients on the ward", "Gives injections", "Works night shifts in scrubs"],
+        Lawyer: ["Defends people in court", "Reads contracts all day", "Argues in front of a judge"],
+        Dentist: ["Checks your teeth", "Says open wide", "Fills cavities with a drill"],
+        Barber: ["Cuts hair and trims beards", "Has a spinning chair and a mirror", "Uses clippers and a razor"],
+        Mechanic: ["Fixes cars in a garage", "Hands covered in oil", "Changes tyres and engines"],
+        Carpenter: ["Works with wood", "Saws, hammers and nails", "Builds tables and cupboards"],
+        Painter: ["Works with brushes and colours", "Paints walls or canvases", "Gets covered in spots"],
+        Journalist: ["Writes the news", "Interviews people for stories", "Chases a deadline and a scoop"],
+        Programmer: ["Writes code all day", "Fixes bugs on a computer", "Drinks a lot of coffee at the keyboard"],
+        Pharmacist: ["Hands out medicine behind a counter", "Reads doctors' handwriting", "Explains how many pills to take"],
+        Baker: ["Starts work before sunrise", "Kneads dough and bakes loaves", "Covered in flour"],
+        Tailor: ["Sews and alters clothes", "Measures you with a tape", "Works with needle, thread and fabric"],
+        Driver: ["Spends the day behind the wheel", "Takes people or goods from place to place", "Knows all the roads"],
+        Photographer: ["Takes pictures for a living", "Says smile and clicks", "Carries lenses and a camera"],
+        Accountant: ["Handles numbers and taxes", "Busy at the end of the financial year", "Balances the books"],
+        Electrician: ["Fixes wiring and sockets", "Knows not to touch live wires", "Installs lights and switches"],
+        Plumber: ["Fixes leaking pipes", "Unblocks sinks and toilets", "Carries a big wrench"],
+    },
+    "ar-jobs": {
+        "طبيب": ["يسمع نبض قلبك بالسماعة", "يكتب الوصفات", "يعالج المرضى في مناوبات طويلة"],
+        "معلم": ["يقف أمام الصف", "يصحح الواجبات والامتحانات", "يشرح الدروس على السبورة"],
+        "مهندس": ["يصمم الجسور والآلات", "رياضيات ومخططات كثيرة", "يلبس خوذة في الموقع"],
+        "طيار": ["يقود الطائرة من قمرة القيادة", "يكلم الركاب عبر المكبر", "يلبس زيًا بخطوط على الكتف"],
+        "طباخ": ["يدير المطبخ بقبعة بيضاء", "يتذوق كل شيء قبل التقديم", "يصرخ بالطلبات وقت العشاء"],
+        "فلاح": ["يستيقظ باكرًا ليطعم الحيوانات", "يقود الجرار", "يزرع ويحصد المحاصيل"],
+        "شرطي": ["يعتقل المجرمين", "ينظم المرور بالصفارة", "يحمل الأصفاد والشارة"],
+        "رجل إطفاء": ["يطفئ الحرائق", "ينزلق على عمود إلى الشاحنة", "ينقذ الناس من المباني المحترقة"],
+        "ممرض": ["يعتني بالمرضى في الجناح", "يعطي الحقن", "يعمل مناوبات ليلية"],
+        "محامي": ["يدافع عن الناس في المحكمة", "يقرأ العقود طوال اليوم", "يترافع أمام القاضي"],
+        "طبيب أسنان": ["يفحص أسنانك", "يقول لك افتح فمك", "يحشو التسوس بالمثقاب"],
+        "حلاق": ["يقص الشعر ويهذب اللحى", "عنده كرسي دوار ومرآة", "يستعمل الماكينة والموس"],
+        "ميكانيكي": ["يصلح السيارات في الورشة", "يداه ملطختان بالزيت", "يغير الإطارات والمحركات"],
+        "نجار": ["يعمل بالخشب", "منشار ومطرقة ومسامير", "يصنع الطاولات والخزائن"],
+        "رسام": ["يعمل بالفرشاة والألوان", "يرسم الجدران أو اللوحات", "تتلطخ ثيابه بالبقع"],
+        "صحفي": ["يكتب الأخبار", "يجري مقابلات من أجل القصص", "يلاحق الموعد النهائي والسبق"],
+        "مبرمج": ["يكتب الشيفرة طوال اليوم", "يصلح الأخطاء على الحاسوب", "يشرب القهوة كثيرًا أمام لوحة المفاتيح"],
+        "صيدلي": ["يصرف الدواء خلف الكاونتر", "يقرأ خط الأطباء", "يشرح لك عدد الحبوب"],
+        "خباز": ["يبدأ العمل قبل الفجر", "يعجن العجين ويخبز الأرغفة", "مغطى بالطحين"],
+        "خياط": ["يخيط الملابس ويعدلها", "يأخذ قياساتك بالشريط", "يعمل بالإبرة والخيط والقماش"],
+        "سائق": ["يقضي يومه خلف المقود", "ينقل الناس أو البضائع", "يعرف كل الطرق"],
+        "مصور": ["يلتقط الصور لكسب رزقه", "يقول ابتسم ويضغط الزر", "يحمل العدسات والكاميرا"],
+        "محاسب": ["يتعامل مع الأرقام والضرائب", "مشغول في نهاية السنة المالية", "يوازن الدفاتر"],
+        "كهربائي": ["يصلح الأسلاك والمقابس", "يعرف ألا يلمس سلكًا مكهربًا", "يركب المصابيح والمفاتيح"],
+        "سباك": ["يصلح الأنابيب التي تسرب", "يفتح المجاري المسدودة", "يحمل مفتاح ربط كبير"],
+    },
+};
+
+// Clue lines for words without their own hints, by language and pack category.
+// Generic enough to fit any word of the category.
+export const CATEGORY_HINTS = {
+    en: {
+        animals: ["You could see one at the zoo", "It's alive and it moves around", "Kids love drawing this one"],
+        foods: ["I'd eat that any day", "You can find it on a menu", "Tastes great when it's fresh"],
+        places: ["People go there all the time", "You can find one in most cities", "I was there not long ago"],
+        jobs: ["Someone does that for a living", "It takes training to do it well", "People rely on them every day"],
+    },
+    ar: {
+        animals: ["يمكن أن تراه في حديقة الحيوانات", "كائن حي يتحرك", "الأطفال يحبون رسمه"],
+        foods: ["آكله في أي يوم", "تجده في قائمة المطعم", "طعمه رائع عندما يكون طازجًا"],
+        places: ["الناس يذهبون إليه دائمًا", "تجده في معظم المدن", "كنت هناك قبل مدة قصيرة"],
+        jobs: ["هناك من يعمل بهذا ليكسب رزقه", "يحتاج إلى تدريب ليتقنه", "الناس يعتمدون عليهم كل يوم"],
+    },
+};
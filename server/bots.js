@@ -0,0 +1,186 @@
+// Bot players: rule-based stand-ins the host can seat to fill a table or practice
+// alone. They run entirely on the server. This module decides what a bot says and
+// who it votes for, using only what a player in its seat could see; index.js
+// decides when bots act.
+import { CATEGORY_HINTS, WORD_HINTS } from "./botHints.js";
+import { BUILT_IN_PACKS, normalizeWord, shuffle } from "./wordPacks.js";
+
+export const BOT_LIMITS = {
+    MAX_PER_ROOM: 6,
+};
+
+const BOT_NAMES = {
+    en: ["Bolt", "Pixel", "Gizmo", "Sprocket", "Widget", "Byte", "Rivet", "Cog"],
+    ar: ["ترس", "بكسل", "زنبرك", "رقاقة", "برغي", "صمام", "سلك", "مسمار"],
+};
+
+// How a bot asker puts the question to the next player
+const QUESTIONS = {
+    en: [
+        "{name}, how would you describe it?",
+        "{name}, what's the first thing that comes to mind?",
+        "{name}, when did you last come across it?",
+        "{name}, give us a clue!",
+    ],
+    ar: [
+        "{name}، كيف تصفه؟",
+        "{name}، ما أول شيء يخطر في بالك؟",
+        "{name}، متى صادفته آخر مرة؟",
+        "{name}، أعطنا تلميحًا!",
+    ],
+};
+
+// What a classic spy says: it doesn't know the word, so it commits to nothing
+const VAGUE_ANSWERS = {
+    en: [
+        "Honestly, it depends on the day",
+        "Most people have an opinion about it",
+        "I don't want to give too much away",
+        "You'd be surprised how often it comes up",
+        "It can be a lot of fun, in the right setting",
+        "Everyone knows one, I think",
+    ],
+    ar: [
+        "بصراحة، يعتمد على اليوم",
+        "لكل شخص رأي فيه",
+        "لا أريد أن أكشف الكثير",
+        "ستتفاجأ كم مرة يأتي ذكره",
+        "ممتع جدًا في المكان المناسب",
+        "أظن أن الجميع يعرفه",
+    ],
+};
+
+// Words too common to tell one secret word from another
+const STOP_WORDS = new Set([
+    "with", "that", "this", "have", "from", "they", "them", "your", "when", "what", "where", "very", "more",
+    "some", "about", "into", "there", "here", "their", "than", "then", "just", "like", "it's", "you're",
+    "على", "في", "من", "الى", "إلى", "عن", "مع", "هذا", "هذه", "كان", "يكون", "هو", "هي", "له", "لها",
+    "كل", "جدا", "كثير", "الناس", "عندما", "قبل", "بعد", "شيء",
+]);
+
+// Comparable word stems: normalized, without the Arabic article or an English plural "s"
+function toKeywords(text) {
+    const keywords = new Set();
+    for (let token of normalizeWord(text).split(" ")) {
+        if (STOP_WORDS.has(token)) continue;
+        if (/^[a-z]/.test(token)) {
+            if (token.length < 4) continue;
+            if (token.length > 4 && token.endsWith("s")) token = token.slice(0, -1);
+        } else {
+            if (token.startsWith("ال") && token.length > 4) token = token.slice(2);
+            if (token.length < 3) continue;
+        }
+        keywords.add(token);
+    }
+    return keywords;
+}
+
+// Every built-in word with its hints, and which words each keyword points to
+const HINTED_WORDS = BUILT_IN_PACKS.flatMap(pack => Object.entries(WORD_HINTS[pack.id] || {}).map(([word, hints]) => ({
+    word,
+    language: pack.language,
+    category: pack.category,
+    hints,
+    keywords: new Set([...toKeywords(word), ...hints.flatMap(hint => [...toKeywords(hint)])]),
+})));
+const WORDS_BY_KEYWORD = new Map();
+for (const entry of HINTED_WORDS) {
+    for (const keyword of entry.keywords) {
+        if (!WORDS_BY_KEYWORD.has(keyword)) WORDS_BY_KEYWORD.set(keyword, []);
+        WORDS_BY_KEYWORD.get(keyword).push(entry);
+    }
+}
+
+// What a bot knows about a word: its own hints, or its category's when it has none (custom packs)
+function describeWord(word, language, category) {
+    const entry = HINTED_WORDS.find(e => e.language === language && normalizeWord(e.word) === normalizeWord(word));
+    if (entry) return entry;
+    const hints = CATEGORY_HINTS[language]?.[category] || [];
+    return { word, language, category, hints, keywords: toKeywords(word) };
+}
+
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+// A bot name nobody in the room uses yet; isTaken(name) checks the room
+export function pickBotName(language, isTaken) {
+    const names = BOT_NAMES[language] || BOT_NAMES.en;
+    const free = names.filter(name => !isTaken(name));
+    if (free.length > 0) return pickRandom(free);
+    for (let n = 2; ; n++) {
+        const name = `${pickRandom(names)} ${n}`;
+        if (!isTaken(name)) return name;
+    }
+}
+
+export function writeBotQuestion(language, targetName) {
+    return pickRandom(QUESTIONS[language] || QUESTIONS.en).replace("{name}", targetName);
+}
+
+// A bot's answer when asked. With a word it gives one of the word's hints, avoiding
+// lines already said this round; a bot without a word (a classic spy) stays vague.
+export function writeBotClue({ word, language, category }, saidThisRound) {
+    const lines = word ? describeWord(word, language, category).hints : [];
+    const fresh = lines.filter(line => !saidThisRound.includes(line));
+    if (fresh.length > 0) return pickRandom(fresh);
+    return pickRandom(VAGUE_ANSWERS[language] || VAGUE_ANSWERS.en);
+}
+
+// How suspicious one player's answers look to a bot that knows `known` (describeWord).
+// Answers about our word clear them; answers that fit another word look off, more so
+// words from another category; answers that fit nothing, or silence, look evasive.
+function scoreSuspicion(known, answers) {
+    if (answers.length === 0) return 1;
+    let score = 0;
+    for (const answer of answers) {
+        const keywords = [...toKeywords(answer)];
+        if (keywords.some(k => known.keywords.has(k))) {
+            score -= 2;
+            continue;
+        }
+        const others = keywords.flatMap(k => WORDS_BY_KEYWORD.get(k) || []).filter(e => e.word !== known.word);
+        if (others.some(e => e.category !== known.category)) score += 3;
+        else score += 1; // Close to another word of the category, or vague
+    }
+    return score;
+}
+
+// The ids a bot votes for, up to `seats` of them, most suspicious first.
+//   candidates      player ids the bot may vote for
+//   answersById     { playerId: [chat messages this round] }
+//   ballots         everyone's current votes when the ballot is open, else null
+// A bot with a word judges the answers. A classic spy has nothing to judge them
+// by, so it goes along with the table when it can see the votes, and guesses otherwise.
+export function chooseBotSuspects({ word, language, category, candidates, seats, answersById, ballots }) {
+    if (seats <= 0) return [];
+    const jitter = Object.fromEntries(candidates.map(id => [id, Math.random() / 2])); // Settles ties at random
+
+    let scores;
+    if (word) {
+        const known = describeWord(word, language, category);
+        scores = Object.fromEntries(candidates.map(id => [id, scoreSuspicion(known, answersById[id] || [])]));
+    } else if (ballots) {
+        scores = Object.fromEntries(candidates.map(id => [id, 0]));
+        for (const targetIds of Object.values(ballots)) {
+            for (const id of targetIds) {
+                if (id in scores) scores[id] += 1;
+            }
+        }
+    } else {
+        return shuffle(candidates).slice(0, seats);
+    }
+    return [...candidates]
+        .sort((a, b) => (scores[b] + jitter[b]) - (scores[a] + jitter[a]))
+        .slice(0, seats);
+}
+
+// A caught spy bot's guess: the option the round's answers hinted at most
+export function chooseBotGuess(options, language, answers) {
+    const said = new Set(answers.flatMap(answer => [...toKeywords(answer)]));
+    const scored = shuffle(options).map(option => ({
+        option,
+        score: [...describeWord(option, language, null).keywords].filter(k => said.has(k)).length,
+    }));
+    return scored.reduce((best, next) => (next.score > best.score ? next : best)).option;
+}
@@ -0,0 +1,84 @@
+// Player chat: message limits, per-player rate limiting, the bad-word filter
+// and the reserved system sender that players can't post as or join as.
+import { normalizeWord } from "./wordPacks.js";
+
+export const CHAT_LIMITS = {
+    MAX_MESSAGE_LENGTH: 200, // Characters, after trimming
+    RATE_LIMIT_MESSAGES: 5, // Messages a player may send...
+    RATE_LIMIT_WINDOW_MS: 10 * 1000, // ...within this window
+};
+
+// Server announcements are posted under this name; chat entries also carry `system: true`
+export const SYSTEM_SENDER = "Server";
+
+// Names nobody may join with, compared the way secret words are (normalizeWord)
+const RESERVED_NAMES = [SYSTEM_SENDER, "System", "Admin", "السيرفر", "النظام", "الخادم"];
+
+export function isReservedName(name) {
+    const normalized = normalizeWord(String(name).trim());
+    return RESERVED_NAMES.some(reserved => normalizeWord(reserved) === normalized);
+}
+
+// Default bad words in English and Arabic. CHAT_BAD_WORDS (comma-separated)
+// adds to them, and CHAT_BAD_WORDS_REPLACE=true uses only the configured list.
+// Insults that are also secret words in the built-in packs (كلب, حمار) are left
+// out, or players couldn't describe those words in chat.
+const DEFAULT_BAD_WORDS = [
+    "fuck", "shit", "bitch", "bastard", "asshole", "dick",
+    "حقير", "وسخ", "غبي", "زباله",
+];
+
+export function loadBadWords(env = process.env) {
+    const configured = (env.CHAT_BAD_WORDS || "").split(",").map(word => word.trim()).filter(Boolean);
+    const words = env.CHAT_BAD_WORDS_REPLACE === "true" ? configured : [...DEFAULT_BAD_WORDS, ...configured];
+    return new Set(words.map(normalizeWord));
+}
+
+// A word matches with or without the Arabic definite article ("ال"), ignoring
+// case, diacritics and letter variants the same way secret words are compared
+function isBadWord(token, badWords) {
+    const normalized = normalizeWord(token);
+    return badWords.has(normalized) || (normalized.startsWith("ال") && badWords.has(normalized.slice(2)));
+}
+
+// Masks every listed word with asterisks, leaving the rest of the message alone
+export function filterBadWords(text, badWords) {
+    return text.replace(/[\p{L}\p{M}\p{N}]+/gu, token => (isBadWord(token, badWords) ? "*".repeat(token.length) : token));
+}
+
+// Checks a raw message. Returns { text } ready to post, or { error }.
+export function validateChatMessage(msg) {
+    if (typeof msg !== "string" || !msg.trim()) {
+        return { error: "Message is required." };
+    }
+    const text = msg.trim();
+    if (text.length > CHAT_LIMITS.MAX_MESSAGE_LENGTH) {
+        return { error: `Messages can be at most ${CHAT_LIMITS.MAX_MESSAGE_LENGTH} characters.` };
+    }
+    return { text };
+}
+
+// Sliding-window limiter keyed by whatever the caller chooses (room + player here)
+export function createChatRateLimiter({
+    maxMessages = CHAT_LIMITS.RATE_LIMIT_MESSAGES,
+    windowMs = CHAT_LIMITS.RATE_LIMIT_WINDOW_MS,
+} = {}) {
+    const sent = {}; // { key: [timestamps] } of messages inside the window
+
+    return {
+        // Records a message and returns 0, or the ms to wait when over the limit
+        hit(key, now = Date.now()) {
+            const recent = (sent[key] || []).filter(time => now - time < windowMs);
+            if (recent.length >= maxMessages) {
+                sent[key] = recent;
+                return recent[0] + windowMs - now;
+            }
+            recent.push(now);
+            sent[key] = recent;
+            return 0;
+        },
+        forget(key) {
+            delete sent[key];
+        },
+    };
+}
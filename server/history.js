@@ -0,0 +1,145 @@
+// Match history: every finished round is recorded as plain data, and every
+// match (finished or cut short) is kept on the room so it can be looked back
+// at or exported after the lobby has moved on.
+
+export const HISTORY_LIMITS = {
+    MAX_MATCHES_PER_ROOM: 20,
+};
+
+// A new, empty match record for a game that is starting
+export function createMatchRecord(room, matchId) {
+    return {
+        id: matchId,
+        startedAt: Date.now(),
+        endedAt: null,
+        completed: false, // False when the game was reset before its last round
+        settings: { ...room.settings, wordPackIds: [...room.settings.wordPackIds] },
+        rounds: [],
+        finalScores: [],
+    };
+}
+
+// Snapshot of the round that just ended. Players are listed with their names so
+// votes (kept by player id) still make sense once people have left the room.
+export function buildRoundRecord(room) {
+    const tally = {}; // { targetPlayerId: votes }
+    for (const targetIds of Object.values(room.votes)) {
+        for (const targetId of targetIds) {
+            tally[targetId] = (tally[targetId] || 0) + 1;
+        }
+    }
+
+    return {
+        round: room.currentRound,
+        mode: room.settings.mode,
+        scoring: room.settings.scoring,
+        word: room.word,
+        undercoverWord: room.undercoverWord || null,
+        wordPackId: room.wordPackId,
+        players: room.players
+            .filter(p => p.role)
+            .map(p => ({
+                id: p.id,
+                name: p.name,
+                role: p.role,
+                scoreChange: p.roundScore,
+                totalScore: p.score,
+                // Where the points came from: [{ points, reason, count?, fromId? }], see scoring.js
+                scoreReasons: room.scoreChanges
+                    .filter(change => change.playerId === p.id)
+                    .map(({ playerId, ...change }) => change),
+            })),
+        discussionOrder: [...room.discussionOrder],
+        votes: Object.fromEntries(Object.entries(room.votes).map(([voterId, targetIds]) => [voterId, [...targetIds]])),
+        tally,
+        spies: Object.entries(room.spyOutcomes).map(([playerId, result]) => ({
+            playerId,
+            name: room.players.find(p => p.id === playerId)?.name ?? null,
+            result, // "caught" or "escaped"
+            guess: room.spyGuesses[playerId]?.guess ?? null,
+            guessCorrect: room.spyGuesses[playerId]?.correct ?? null,
+        })),
+        tieBreak: room.tieBreak && {
+            policy: room.tieBreak.policy,
+            candidates: [...room.tieBreak.candidates],
+            seats: room.tieBreak.seats,
+            runoffVotes: room.tieBreak.votes,
+            runoffTally: room.tieBreak.tally,
+            chosen: [...room.tieBreak.chosen], // Tied players who ended up accused
+        },
+        voided: Object.keys(room.spyOutcomes).length === 0, // Every spy left before the votes were counted
+        summary: [...room.lastRoundResult], // System message parts ({ key, params }) telling how the round went
+        endedAt: Date.now(),
+    };
+}
+
+// Closes the match and files it in the room's history, newest last
+export function archiveMatch(room, match, completed) {
+    match.endedAt = Date.now();
+    match.completed = completed;
+    match.finalScores = [...room.players]
+        .sort((a, b) => b.score - a.score)
+        .map(p => ({ id: p.id, name: p.name, score: p.score }));
+
+    room.matchHistory.push(match);
+    if (room.matchHistory.length > HISTORY_LIMITS.MAX_MATCHES_PER_ROOM) {
+        room.matchHistory.shift();
+    }
+}
+
+// The game-over summary: ranked standings (ties share a rank), who was the spy
+// each round and how it went, and awards worked out from the round records.
+export function buildFinalResults(match) {
+    const names = {}; // { playerId: name }, including players who left mid-match
+    match.rounds.forEach(round => round.players.forEach(p => {
+        names[p.id] = p.name;
+    }));
+    match.finalScores.forEach(p => {
+        names[p.id] = p.name;
+    });
+
+    let rank = 0;
+    const standings = match.finalScores.map((p, i) => {
+        if (i === 0 || p.score < match.finalScores[i - 1].score) rank = i + 1;
+        return { ...p, rank };
+    });
+
+    const correctVotes = {}; // { playerId: suspects marked who really were spies }
+    const escapes = {}; // { playerId: rounds survived as a spy }
+    for (const round of match.rounds) {
+        const spyIds = round.spies.map(spy => spy.playerId);
+        for (const [voterId, targetIds] of Object.entries(round.votes)) {
+            // Spies' votes don't count, except undercover players': they didn't know their side (as in scoring)
+            if (spyIds.includes(voterId) && round.mode !== "undercover") continue;
+            const hits = targetIds.filter(id => id !== voterId && spyIds.includes(id)).length;
+            if (hits) correctVotes[voterId] = (correctVotes[voterId] || 0) + hits;
+        }
+        for (const spy of round.spies) {
+            if (spy.result === "escaped") escapes[spy.playerId] = (escapes[spy.playerId] || 0) + 1;
+        }
+    }
+
+    return {
+        matchId: match.id,
+        standings,
+        rounds: match.rounds.map(round => ({
+            round: round.round,
+            word: round.word,
+            undercoverWord: round.undercoverWord,
+            voided: round.voided,
+            spies: round.spies.map(spy => ({ playerId: spy.playerId, name: names[spy.playerId], result: spy.result })),
+        })),
+        awards: [
+            buildAward("bestDetective", correctVotes, names),
+            buildAward("masterSpy", escapes, names),
+        ].filter(Boolean),
+    };
+}
+
+// Everyone tied for the highest count wins; nobody does if the count is 0
+function buildAward(id, counts, names) {
+    const best = Math.max(0, ...Object.values(counts));
+    if (best === 0) return null;
+    const winners = Object.keys(counts).filter(playerId => counts[playerId] === best);
+    return { id, count: best, players: winners.map(playerId => ({ playerId, name: names[playerId] })) };
+}
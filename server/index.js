@@ -1,30 +1,67 @@
 import express from "express";
 import http from "http";
 import cors from "cors"; // Import cors
+import { Server } from "socket.io";
 import { v4 as uuidv4 } from 'uuid'; // For generating unique player IDs
+import { BOT_LIMITS, chooseBotGuess, chooseBotSuspects, pickBotName, writeBotClue, writeBotQuestion } from "./bots.js";
+import { SYSTEM_SENDER, createChatRateLimiter, filterBadWords, isReservedName, loadBadWords, validateChatMessage } from "./chat.js";
+import { archiveMatch, buildFinalResults, buildRoundRecord, createMatchRecord } from "./history.js";
+import {
+    ROOM_CODE_LENGTH,
+    checkRoomPassword, describeListedRoom, generateRoomCode, isListed, isValidRoomCode, normalizeRoomCode, parseRoomAccess,
+} from "./lobby.js";
+import { createRoomStoreFromEnv } from "./roomStore.js";
+import { scoreCorrectGuess, scoreVotes } from "./scoring.js";
+import { createSessionToken, setSessionSecret, verifySessionToken } from "./sessions.js";
+import { applySettingsPatch, createDefaultSettings, votesNeededToCatch } from "./settings.js";
+import {
+    BUILT_IN_PACKS, WORD_PACK_LIMITS,
+    buildGuessOptions, describePack, drawWord, drawWordPair, findPack, normalizeWord, parseCustomPack, shuffle,
+} from "./wordPacks.js";
 
 const app = express();
 const server = http.createServer(app);
+const io = new Server(server, { cors: { origin: "*" } }); // Real-time channel, same origin policy as the REST API
 
 // Use cors middleware to allow requests from your React app
-app.use(cors({ origin: "*" })); // Allow all origins for development
+app.use(cors({ origin: "*", exposedHeaders: ["ETag"] })); // Allow all origins for development
 app.use(express.json()); // To parse JSON request bodies
 
-const rooms = {}; // Stores game state for each room
-
-const WORDS = [
-    "Cat", "Dog", "Elephant", "Lion", "Monkey", "Rabbit", "Chicken", "Horse", "Shark", "Eagle",
-"Tiger", "Wolf", "Fox", "Bear", "Deer", "Giraffe", "Zebra", "Kangaroo", "Panda", "Dolphin",
-"Whale", "Penguin", "Crocodile", "Snake", "Frog", "Turtle", "Parrot", "Owl", "Peacock", "Camel",
-"Goat", "Sheep", "Cow", "Pig", "Mouse", "Rat", "Squirrel", "Hedgehog", "Bee", "Butterfly"
-];
+const rooms = Object.create(null); // Stores game state for each room. No prototype, so codes like "constructor" match nothing
+const roomStore = createRoomStoreFromEnv(); // Persists rooms between restarts (memory = not at all)
 
 const GAME_SETTINGS = {
-    MAX_ROUNDS: 3,
-    // With polling, round timers are more conceptual or client-driven.
-    // Server won't actively end rounds, client requests will drive state changes.
+    // Rounds, spies, thresholds and points are per room: see room.settings (settings.js).
+    SPY_GUESS_OPTIONS: 6, // Size of the multiple-choice list offered to the spy
+    SPY_GUESS_SECONDS: 30, // The spy's last-chance guess always has a deadline so the game can't stall
+    // Discussion and voting limits come from room.settings; the server enforces them
+    // with phase timers, so rounds move on even if the host walks away.
+};
+
+// Presence: every poll, socket heartbeat or action counts as a sign of life.
+// Silent players turn idle, then disconnected (env vars override the defaults).
+const PRESENCE_SETTINGS = {
+    IDLE_AFTER_MS: Number(process.env.PLAYER_IDLE_AFTER_MS) || 20 * 1000,
+    DISCONNECT_AFTER_MS: Number(process.env.PLAYER_DISCONNECT_AFTER_MS) || 60 * 1000,
+    SWEEP_INTERVAL_MS: 5 * 1000,
+};
+
+// Room limits and expiry (env vars override the defaults). A room nobody is connected to
+// is deleted after EMPTY_TTL_MS, and one where nothing has happened after IDLE_TTL_MS.
+const ROOM_SETTINGS = {
+    MAX_ROOMS: Number(process.env.MAX_ROOMS) || 500,
+    MAX_PLAYERS_PER_ROOM: Number(process.env.MAX_PLAYERS_PER_ROOM) || 12,
+    EMPTY_TTL_MS: Number(process.env.ROOM_EMPTY_TTL_MS) || 5 * 60 * 1000,
+    IDLE_TTL_MS: Number(process.env.ROOM_IDLE_TTL_MS) || 2 * 60 * 60 * 1000,
+    EXPIRED_MEMORY_MS: 24 * 60 * 60 * 1000, // How long an expired code still answers "expired" rather than "not found"
+    SWEEP_INTERVAL_MS: 30 * 1000,
 };
 
+const phaseTimers = Object.create(null); // { roomCode: Timeout } for the current phase's deadline
+const turnTimers = Object.create(null); // { roomCode: Timeout } for the current question turn's deadline
+const chatRateLimiter = createChatRateLimiter(); // Keyed by "roomCode:playerId"
+const badWords = loadBadWords(); // Masked in player messages, see chat.js
+
 // Helper function to get player info suitable for sending to clients (no secrets)
 function getSanitizedPlayers(roomCode) {
     const room = rooms[roomCode];
@@ -34,15 +71,43 @@ function getSanitizedPlayers(roomCode) {
         name: p.name,
         score: p.score,
         isHost: p.isHost,
+        presence: p.presence, // active, idle or disconnected
+        isBot: Boolean(p.isBot), // Played by the server, see bots.js
+        inRound: Boolean(p.role), // Dealt into the current round (which role stays secret)
+        voteStatus: getVoteStatus(room, p), // pending, voted or abstained while a ballot is open, else null
         // role and word are secret, not sent in this general list
     }));
 }
 
-// Helper to send a chat message (to be included in the next poll)
-function addChatMessage(roomCode, name, msg) {
+// Spectators as shown to clients: they have no score, role or vote
+function getSanitizedSpectators(room) {
+    return room.spectators.map(s => ({ id: s.id, name: s.name, presence: s.presence }));
+}
+
+// Helper to send a player's chat message (to be included in the next poll).
+// channel is "room" for everyone, or "spectators" for messages only spectators see.
+function addChatMessage(roomCode, name, msg, playerId, channel = "room") {
+    pushChatEntry(roomCode, { name, msg, playerId, system: false, channel });
+}
+
+// System messages are sent as message keys with parameters rather than text, so
+// every client shows them in its own language. A message is one or more parts.
+function addSystemMessage(roomCode, key, params = {}) {
+    addSystemParts(roomCode, [messagePart(key, params)]);
+}
+
+function addSystemParts(roomCode, parts) {
+    pushChatEntry(roomCode, { name: SYSTEM_SENDER, parts: [...parts], playerId: null, system: true, channel: "room" });
+}
+
+function messagePart(key, params = {}) {
+    return { key, params };
+}
+
+function pushChatEntry(roomCode, entry) {
     const room = rooms[roomCode];
     if (room) {
-        room.chat.push({ name, msg, timestamp: Date.now() });
+        room.chat.push({ id: room.nextChatId++, ...entry, timestamp: Date.now() });
         // Keep chat history to a reasonable limit
         if (room.chat.length > 50) {
             room.chat.shift();
@@ -50,398 +115,1979 @@ function addChatMessage(roomCode, name, msg) {
     }
 }
 
+// The chat one member may read: players never see the spectators' channel
+function getVisibleChat(room, member) {
+    const spectator = isSpectator(room, member.id);
+    return room.chat.filter(m => spectator || m.channel !== "spectators");
+}
+
+
+// Builds the state payload for one player (or spectator): public room data plus
+// that player's own role/word. With sinceChatId only the chat messages after that id are included.
+function buildRoomState(roomCode, player, sinceChatId = null) {
+    const room = rooms[roomCode];
+    const chat = getVisibleChat(room, player);
+    return {
+        gameStarted: room.gameStarted,
+        currentRound: room.currentRound,
+        roundState: room.roundState,
+        players: getSanitizedPlayers(roomCode),
+        spectators: getSanitizedSpectators(room),
+        isSpectator: isSpectator(room, player.id),
+        myRole: isRoleHidden(room) ? null : player.role ?? null, // Only sent to the requesting player
+        myWord: player.word ?? null, // Only sent to the requesting player; spectators never get one
+        chat: sinceChatId === null ? chat : chat.filter(m => m.id > sinceChatId),
+        chatStartId: room.chat[0]?.id ?? room.nextChatId, // Older messages were dropped (or the chat was cleared)
+        discussionTurnsString: room.discussionTurnsString,
+        discussion: room.roundState === "playing" ? {
+            turns: room.discussionTurns, // [{ askerId, targetId }]
+            currentTurnIndex: room.currentTurnIndex,
+            lap: room.discussionLap,
+            laps: room.settings.discussionLaps,
+            turnEndsAt: room.turnEndsAt,
+        } : null,
+        spyCountThisRound: room.spies.length, // How many suspects each player may mark
+        // Only shown to a spy who chose to know their teammates
+        fellowSpies: player.role === "spy" && player.knowsFellowSpies && room.settings.mode === "classic"
+            ? room.players.filter(p => p.id !== player.id && room.spies.includes(p.id)).map(p => ({ id: p.id, name: p.name }))
+            : null,
+        knowsFellowSpies: player.knowsFellowSpies ?? false,
+        // Only caught spies who still have to guess get the options; everyone else just sees the phase
+        myVote: isBallotOpen(room) ? getBallots(room)[player.id] ?? null : null, // [] when abstained
+        // Everyone's current votes, only with an open ballot
+        ballots: isBallotOpen(room) && room.settings.ballot === "open" ? getBallots(room) : null,
+        roundResult: room.roundState === "reveal" ? room.roundResult : null,
+        tieBreak: room.roundState === "runoff" || room.roundState === "hostDecision" ? {
+            policy: room.tieBreak.policy,
+            candidates: room.tieBreak.candidates,
+            seats: room.tieBreak.seats,
+        } : null,
+        spyGuess: room.roundState === "spyGuess" ? {
+            spyIds: Object.keys(room.spyGuesses),
+            pendingSpyIds: getPendingSpyGuessIds(room),
+            options: room.spyGuesses[player.id] === null ? room.spyGuessOptions : null,
+        } : null,
+        settings: room.settings,
+        access: { visibility: room.visibility, hasPassword: Boolean(room.passwordHash) }, // Never the password itself
+        wordPacks: {
+            available: [...BUILT_IN_PACKS, ...Object.values(room.customPacks)].map(describePack),
+        },
+        phaseEndsAt: room.phaseEndsAt, // null when the phase has no time limit
+        serverTime: Date.now(), // Lets clients correct for clock skew when counting down
+        finalResults: room.finalResults, // Game-over summary, see buildFinalResults in history.js
+        lastUpdateTimestamp: room.lastUpdateTimestamp,
+    };
+}
+
+// --- Real-time Push (Socket.IO) ---
+
+const pendingBroadcasts = new Set(); // Room codes with a state push queued for this tick
+
+function socketRoomName(roomCode) {
+    return `room:${roomCode}`;
+}
+
+// Pushes every subscribed socket its own view of the room
+function broadcastRoomState(roomCode) {
+    const room = rooms[roomCode];
+    const socketIds = io.sockets.adapter.rooms.get(socketRoomName(roomCode));
+    if (!room || !socketIds) return;
+
+    for (const socketId of socketIds) {
+        const socket = io.sockets.sockets.get(socketId);
+        const member = socket && findMember(room, socket.data.playerId);
+        if (member) {
+            socket.emit("room-state", buildRoomState(roomCode, member));
+        }
+    }
+}
+
+// Tells a removed player's sockets why, and stops pushing them room state
+function disconnectPlayerSockets(roomCode, playerId, reason) {
+    const socketIds = io.sockets.adapter.rooms.get(socketRoomName(roomCode));
+    if (!socketIds) return;
+
+    for (const socketId of [...socketIds]) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket?.data.playerId !== playerId) continue;
+        socket.emit("removed", { reason });
+        socket.leave(socketRoomName(roomCode));
+        socket.data = {};
+    }
+}
+
+// Marks the room as changed. Pushes (and store snapshots) are batched so a
+// handler that touches the room several times only sends one update per player.
+function touchRoom(roomCode) {
+    const room = rooms[roomCode];
+    if (!room) return;
+    // Strictly increasing, so two changes in the same millisecond still look different to clients
+    room.lastUpdateTimestamp = Math.max(Date.now(), room.lastUpdateTimestamp + 1);
+
+    if (pendingBroadcasts.has(roomCode)) return;
+    pendingBroadcasts.add(roomCode);
+    setImmediate(() => {
+        pendingBroadcasts.delete(roomCode);
+        if (rooms[roomCode]) roomStore.save(roomCode, rooms[roomCode]);
+        broadcastRoomState(roomCode);
+    });
+}
+
+// --- Phase Timers ---
+
+// What happens when the current phase's deadline passes, keyed by roundState
+const phaseExpiryHandlers = {
+    playing(roomCode) {
+        addSystemMessage(roomCode, "discussionOver");
+        beginVoting(roomCode);
+    },
+    voting(roomCode) {
+        addSystemMessage(roomCode, "votingClosed");
+        resolveVoting(roomCode);
+    },
+    runoff(roomCode) {
+        addSystemMessage(roomCode, "runoffClosed");
+        resolveRunoff(roomCode);
+    },
+    spyGuess(roomCode) {
+        expireSpyGuesses(roomCode);
+    },
+};
+
+// Starts the deadline for the phase the room just entered. seconds = 0 means no time limit.
+function schedulePhaseEnd(roomCode, seconds) {
+    clearPhaseTimer(roomCode);
+    if (!seconds) return;
+
+    rooms[roomCode].phaseEndsAt = Date.now() + seconds * 1000;
+    armPhaseTimer(roomCode);
+}
+
+// Sets the timeout for room.phaseEndsAt. Also used to pick deadlines back up after a restart.
+function armPhaseTimer(roomCode) {
+    const room = rooms[roomCode];
+    const phase = room.roundState;
+    phaseTimers[roomCode] = setTimeout(() => {
+        delete phaseTimers[roomCode];
+        const current = rooms[roomCode];
+        if (!current || current.roundState !== phase) return;
+        current.phaseEndsAt = null;
+        phaseExpiryHandlers[phase](roomCode);
+        touchRoom(roomCode);
+    }, Math.max(0, room.phaseEndsAt - Date.now()));
+}
+
+function clearPhaseTimer(roomCode) {
+    clearTimeout(phaseTimers[roomCode]);
+    delete phaseTimers[roomCode];
+    if (rooms[roomCode]) rooms[roomCode].phaseEndsAt = null;
+}
+
+// --- Question Turns ---
+
+// Starts the clock for the current question, if the room times turns
+function startTurnTimer(roomCode) {
+    clearTurnTimer(roomCode);
+    const room = rooms[roomCode];
+    if (!room.settings.turnSeconds) return;
+
+    room.turnEndsAt = Date.now() + room.settings.turnSeconds * 1000;
+    armTurnTimer(roomCode);
+}
+
+// Sets the timeout for room.turnEndsAt. Also used to pick the deadline back up after a restart.
+function armTurnTimer(roomCode) {
+    const room = rooms[roomCode];
+    turnTimers[roomCode] = setTimeout(() => {
+        delete turnTimers[roomCode];
+        const current = rooms[roomCode];
+        if (!current || current.roundState !== "playing") return;
+        current.turnEndsAt = null;
+        addSystemMessage(roomCode, "questionTimeUp");
+        advanceTurn(roomCode);
+        touchRoom(roomCode);
+    }, Math.max(0, room.turnEndsAt - Date.now()));
+}
+
+function clearTurnTimer(roomCode) {
+    clearTimeout(turnTimers[roomCode]);
+    delete turnTimers[roomCode];
+    if (rooms[roomCode]) rooms[roomCode].turnEndsAt = null;
+}
+
+// Passes the question to the next asker. After the last asker a new lap starts,
+// and once the room's laps are done voting opens on its own.
+function advanceTurn(roomCode) {
+    const room = rooms[roomCode];
+    room.currentTurnIndex += 1;
+    if (room.currentTurnIndex >= room.discussionTurns.length) {
+        room.currentTurnIndex = 0;
+        room.discussionLap += 1;
+
+        const { discussionLaps } = room.settings;
+        if (discussionLaps && room.discussionLap > discussionLaps) {
+            addSystemMessage(roomCode, "lapsDone", { laps: discussionLaps });
+            beginVoting(roomCode);
+            return;
+        }
+    }
+    startTurnTimer(roomCode);
+}
+
+// Action results are transport-agnostic: { status, body } maps onto an HTTP
+// response for REST and onto the ack payload for socket actions.
+function ok(body) {
+    return { status: 200, body };
+}
+
+function fail(status, error) {
+    return { status, body: { error } };
+}
+
 
 // --- API Endpoints ---
 
-// 1. Join Room / Get Initial State
+// Creates an empty room; the caller seats its first player
+// Every field of a fresh room. createRoom starts from these, and restoreRoom fills in
+// whatever a room saved by an older version of the server is missing.
+function createRoomDefaults() {
+    return {
+        visibility: "private", // "public" or "private", see lobby.js. Rooms saved before the room list were only joined by code.
+        passwordHash: null, // null when the room has no password
+        players: [],
+        spectators: [], // { id, name, presence, lastSeen } watching without playing, see promoteSpectator
+        word: "",
+        wordPackId: "", // Pack the current word was drawn from
+        wordCategory: "", // Category of the pack the current word was drawn from
+        undercoverWord: "", // The spies' look-alike word in undercover mode
+        spyGuessOptions: [], // Multiple-choice list for a caught spy's last-chance guess
+        customPacks: {}, // { packId: pack } uploaded by the host
+        removedPlayers: {}, // { playerId: "kicked" | "banned" } so removed clients stop polling
+        bannedPlayerIds: [], // Sessions that may never rejoin this room
+        bannedNames: [], // Normalized names that may never rejoin this room
+        spies: [], // Player ids of this round's spies
+        spyGuesses: {}, // { caughtSpyId: null | { guess, correct } } during the spyGuess phase
+        spyOutcomes: {}, // { spyId: "caught" | "escaped" } once the votes are counted
+        scoreChanges: [], // This round's points with their reasons, see scoring.js
+        tieBreak: null, // { policy, candidates, seats, accused, votes, tally, chosen, summary } when a vote ties
+        settings: createDefaultSettings(), // Host-editable in the lobby
+        gameStarted: false,
+        currentRound: 0,
+        roundState: "waiting", // waiting, playing, voting, runoff, hostDecision, spyGuess, ended, reveal
+        roundResult: null, // The finished round's record (see buildRoundRecord in history.js) during the reveal
+        votes: {}, // { voterId: [targetPlayerIds] }, one suspect per spy at most
+        chat: [],
+        nextChatId: 1, // Chat message ids only ever go up, even when the chat is cleared
+        discussionTurnsString: "",
+        discussionOrder: [], // Player ids in this round's asking order
+        discussionTurns: [], // [{ askerId, targetId }] built from discussionOrder
+        currentTurnIndex: 0,
+        discussionLap: 1,
+        turnEndsAt: null, // Deadline for the current question, when turns are timed
+        currentMatch: null, // Record of the game in progress, see history.js
+        matchHistory: [], // Finished matches, oldest first
+        finalResults: null, // Summary of the last game that ran to the end, until the next one starts
+        phaseEndsAt: null, // Deadline (ms) of the current phase, if it has one
+        lastUpdateTimestamp: Date.now(), // To help client know if state changed
+        emptySince: null, // When the last member disconnected, for expiry (see sweepRooms)
+    };
+}
+
+function createRoom(roomCode, { visibility, passwordHash }) {
+    rooms[roomCode] = { ...createRoomDefaults(), visibility, passwordHash };
+    console.log(`Room ${roomCode} created (${visibility}${passwordHash ? ", password" : ""}).`);
+    return rooms[roomCode];
+}
+
+// Checks a joining name; returns an error message or null
+function validateJoinName(name) {
+    if (!name || typeof name !== "string" || !name.trim()) {
+        return "Name is required.";
+    }
+    if (isReservedName(name)) {
+        return `"${name}" is reserved. Please pick another name.`;
+    }
+    return null;
+}
+
+// Seats a newcomer and returns the join response body. Newcomers to a running game
+// watch it rather than join mid-round, and anyone may ask to watch. The host can
+// promote spectators to players between games.
+function admitNewcomer(roomCode, name, spectate) {
+    const room = rooms[roomCode];
+    const newPlayerId = uuidv4(); // Generate a new ID for a new player
+    const spectating = spectate === true || room.gameStarted;
+    let member;
+    if (spectating) {
+        member = { id: newPlayerId, name, presence: "active", lastSeen: Date.now() };
+        room.spectators.push(member);
+        addSystemMessage(roomCode, "spectatorJoined", { name });
+        console.log(`${name} (id: ${newPlayerId}) is watching room ${roomCode}.`);
+    } else {
+        member = createPlayer(newPlayerId, name, !room.players.some(p => p.isHost));
+        room.players.push(member);
+        addSystemMessage(roomCode, "playerJoined", { name });
+        console.log(`${name} (id: ${newPlayerId}) joined room ${roomCode}. Host: ${member.isHost}`);
+    }
+    touchRoom(roomCode);
+
+    return {
+        message: spectating ? "Joined room as a spectator." : "Joined room successfully.",
+        roomCode,
+        playerId: newPlayerId,
+        sessionToken: createSessionToken(roomCode, newPlayerId),
+        resumed: false,
+        spectator: spectating,
+        roomState: buildRoomState(roomCode, member),
+    };
+}
+
+// Create Room. Body: { name, visibility?: "public" | "private", password? }
+// The server picks the room code; the creator joins as its host.
+app.post("/api/create-room", (req, res) => {
+    const { name, ...accessOptions } = req.body ?? {};
+    const nameError = validateJoinName(name);
+    if (nameError) {
+        return res.status(400).json({ error: nameError });
+    }
+    const { visibility, passwordHash, error } = parseRoomAccess(accessOptions);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (Object.keys(rooms).length >= ROOM_SETTINGS.MAX_ROOMS) {
+        return res.status(503).json({ error: "The server can't open more rooms right now. Join an existing room or try again later." });
+    }
+
+    // Recently expired codes aren't handed out again, so their players keep hearing "expired"
+    const roomCode = generateRoomCode(code => Boolean(rooms[code]) || expiredRooms.has(code));
+    createRoom(roomCode, { visibility, passwordHash });
+    return res.status(201).json(admitNewcomer(roomCode, name, false));
+});
+
+// 1. Join Room / Get Initial State. Body: { name, room, sessionToken?, password?, spectate? }
 app.post("/api/join-room", (req, res) => {
-    const { name, room: roomCode } = req.body;
-    if (!name || !roomCode) {
+    const { name, room: requestedCode, sessionToken, password, spectate } = req.body ?? {};
+    if (!name || !requestedCode) {
         return res.status(400).json({ error: "Name and room code are required." });
     }
+    const nameError = validateJoinName(name);
+    if (nameError) {
+        return res.status(400).json({ error: nameError });
+    }
 
-    let playerFound = false;
-    let newPlayerId = uuidv4(); // Generate a new ID for a new player
+    const roomCode = normalizeRoomCode(requestedCode);
+    const room = rooms[roomCode];
+    if (!room) {
+        const { status, body } = missingRoom(roomCode);
+        return res.status(status).json(body);
+    }
 
-    if (!rooms[roomCode]) {
-        rooms[roomCode] = {
-            players: [],
-            word: "",
-            spy: "",
-            gameStarted: false,
-            currentRound: 0,
-            roundState: "waiting", // waiting, playing, voting, ended
-            votes: {}, // { voterId: targetPlayerId }
-            chat: [],
-            discussionTurnsString: "",
-            lastUpdateTimestamp: Date.now(), // To help client know if state changed
-        };
-        console.log(`Room ${roomCode} created.`);
+    const session = verifySessionToken(sessionToken);
+    const bannedBySession = session?.roomCode === roomCode && room.bannedPlayerIds.includes(session.playerId);
+    if (bannedBySession || room.bannedNames.includes(normalizeName(name))) {
+        return res.status(403).json({ error: "You have been banned from this room." });
     }
 
-    const room = rooms[roomCode];
+    // A valid session token for this room restores the same player (or spectator),
+    // with their score, role and word intact, instead of adding a duplicate.
+    const existingPlayer = session?.roomCode === roomCode ? findMember(room, session.playerId) : null;
+    if (existingPlayer) {
+        markSeen(roomCode, existingPlayer);
+        console.log(`${existingPlayer.name} (id: ${existingPlayer.id}) resumed their session in room ${roomCode}.`);
+        return res.status(200).json({
+            message: "Rejoined room successfully.",
+            roomCode,
+            playerId: existingPlayer.id,
+            sessionToken,
+            resumed: true,
+            roomState: buildRoomState(roomCode, existingPlayer),
+        });
+    }
 
-    // Check if player with this name already exists in the room
-    // For HTTP, we can't rely on socket.id. We'll use a unique ID generated for the client.
-    // The client will send this ID on subsequent requests.
-    // For simplicity, let's assume if player with same name tries to join, they get a new ID.
-    // A more robust solution would involve session management or JWTs.
+    // Resuming a session never asks again; everyone else needs the password, if the room has one
+    if (!checkRoomPassword(room.passwordHash, password)) {
+        return res.status(403).json({ error: password ? "Wrong room password." : "This room needs a password.", passwordRequired: true });
+    }
+    const wantsSeat = spectate !== true && !room.gameStarted;
+    if (wantsSeat && room.players.length >= ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM) {
+        return res.status(409).json({ error: `This room is full (${ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM} players). You can still join to watch.`, roomFull: true });
+    }
 
-    const isHost = room.players.length === 0;
-    const player = { id: newPlayerId, name, score: 0, isHost, role: null, word: null };
-    room.players.push(player);
-    room.lastUpdateTimestamp = Date.now();
+    return res.status(200).json(admitNewcomer(roomCode, name, spectate));
+});
 
-    addChatMessage(roomCode, "Server", `${name} has joined the room.`);
-    console.log(`${name} (id: ${newPlayerId}) joined room ${roomCode}. Host: ${isHost}`);
+// Public rooms that haven't started yet, for the lobby browser
+app.get("/api/rooms", (req, res) => {
+    const listed = Object.entries(rooms)
+        .filter(([, room]) => isListed(room))
+        .map(([roomCode, room]) => describeListedRoom(roomCode, room));
+    return res.status(200).json({ rooms: listed, maxPlayers: ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM });
+});
 
-    return res.status(200).json({
-        message: "Joined room successfully.",
-        playerId: newPlayerId,
-        roomState: {
-            gameStarted: room.gameStarted,
-            currentRound: room.currentRound,
-            roundState: room.roundState,
-            players: getSanitizedPlayers(roomCode),
-            myRole: player.role, // This will be null initially
-            myWord: player.word, // This will be null initially
-            chat: room.chat,
-            discussionTurnsString: room.discussionTurnsString,
-            lastUpdateTimestamp: room.lastUpdateTimestamp,
-        },
-    });
+// List the built-in word packs (rooms also expose their custom ones in the state payload)
+app.get("/api/word-packs", (req, res) => {
+    return res.status(200).json({ packs: BUILT_IN_PACKS.map(describePack) });
 });
 
-// 2. Get Room State (Polling Endpoint)
-app.get("/api/room/:roomCode/state/:playerId", (req, res) => {
-    const { roomCode, playerId } = req.params;
+// Who a request comes from: the id its session token was issued for in this room, or null.
+// Every request that acts as a player goes through this; ids sent alongside are ignored.
+function sessionPlayerId(roomCode, sessionToken) {
+    const session = verifySessionToken(sessionToken);
+    return session?.roomCode === roomCode ? session.playerId : null;
+}
+
+// 2. Get Room State (Polling Endpoint). Send the session token as "Authorization: Bearer <token>".
+// ?sinceChatId=<id> only sends newer chat messages. Unchanged rooms get a 304, either
+// for a matching If-None-Match or for ?since=<lastUpdateTimestamp> already seen.
+app.get("/api/room/:roomCode/state", (req, res) => {
+    const { roomCode } = req.params;
     const room = rooms[roomCode];
 
     if (!room) {
-        return res.status(404).json({ error: "Room not found." });
+        const { status, body } = missingRoom(roomCode);
+        return res.status(status).json(body);
+    }
+    const playerId = sessionPlayerId(roomCode, req.get("Authorization")?.replace(/^Bearer /, ""));
+    if (!playerId) {
+        return res.status(401).json({ error: "Your session is not valid for this room. Please re-join." });
     }
 
-    const player = room.players.find(p => p.id === playerId);
+    const player = findMember(room, playerId);
+    if (!player && room.removedPlayers[playerId]) {
+        // Kicked or banned: tell the client so it doesn't silently rejoin
+        return res.status(403).json({ error: "You were removed from this room.", reason: room.removedPlayers[playerId] });
+    }
     if (!player) {
         // Player not found, they might have been disconnected or joined with a new ID
-        // For simplicity, we just return an error. In a real game, might kick them.
         return res.status(401).json({ error: "Player not in this room. Please re-join." });
     }
+    markSeen(roomCode, player);
+
+    const etag = `"${room.lastUpdateTimestamp}"`;
+    res.set("ETag", etag);
+    const since = Number(req.query.since);
+    if (req.get("If-None-Match") === etag || since >= room.lastUpdateTimestamp) {
+        return res.status(304).end();
+    }
 
+    const sinceChatId = /^\d+$/.test(req.query.sinceChatId ?? "") ? Number(req.query.sinceChatId) : null;
     // Only send the specific player's role/word to that player
-    return res.status(200).json({
-        gameStarted: room.gameStarted,
-        currentRound: room.currentRound,
-        roundState: room.roundState,
-        players: getSanitizedPlayers(roomCode),
-        myRole: player.role, // Only sent to the requesting player
-        myWord: player.word, // Only sent to the requesting player
-        chat: room.chat,
-        lastUpdateTimestamp: room.lastUpdateTimestamp,
-    });
+    return res.status(200).json(buildRoomState(roomCode, player, sinceChatId));
+});
+
+// Past matches of a room, each with its rounds (see history.js for the record shape)
+app.get("/api/room/:roomCode/history", (req, res) => {
+    const room = rooms[req.params.roomCode];
+    if (!room) {
+        const { status, body } = missingRoom(req.params.roomCode);
+        return res.status(status).json(body);
+    }
+    return res.status(200).json({ matches: room.matchHistory });
+});
+
+// One past match as a downloadable JSON file
+app.get("/api/room/:roomCode/history/:matchId/export", (req, res) => {
+    const { roomCode, matchId } = req.params;
+    const match = rooms[roomCode]?.matchHistory.find(m => m.id === matchId);
+    if (!match) {
+        return res.status(404).json({ error: "Match not found." });
+    }
+    res.attachment(`match-${roomCode}-${matchId}.json`);
+    return res.status(200).send(JSON.stringify({ roomCode, ...match }, null, 2));
 });
 
 // 3. Start Game
-app.post("/api/room/:roomCode/start-game", (req, res) => {
-    const { roomCode } = req.params;
-    const { playerId } = req.body; // Need player ID to verify host
+function startGame(roomCode, body) {
+    const { playerId } = body; // The sender, from their session: must be the host
     const room = rooms[roomCode];
 
-    if (!room) return res.status(404).json({ error: "Room not found." });
+    if (!room) return missingRoom(roomCode);
     const player = room.players.find(p => p.id === playerId);
     if (!player || !player.isHost) {
-        return res.status(403).json({ error: "Only the host can start the game." });
+        return fail(403, "Only the host can start the game.");
     }
     if (room.gameStarted) {
-        return res.status(400).json({ error: "Game already started." });
+        return fail(400, "Game already started.");
+    }
+    const connectedCount = getConnectedPlayers(room).length;
+    if (connectedCount < 2) {
+        return fail(400, "Need at least 2 players to start a game.");
     }
-    if (room.players.length < 2) {
-        return res.status(400).json({ error: "Need at least 2 players to start a game." });
+    if (room.settings.spyCount >= connectedCount) {
+        return fail(400, "There must be more players than spies.");
+    }
+    // Every check comes before the room changes, so a refused start leaves the lobby as it was
+    if (!room.settings.wordPackIds.every(id => findPack(room.customPacks, id)?.words?.length)) {
+        return fail(400, "One of the selected word packs is no longer available. Choose the word packs again.");
+    }
+    if (room.settings.mode === "undercover"
+        && !room.settings.wordPackIds.some(id => findPack(room.customPacks, id)?.pairs?.length)) {
+        return fail(400, "Undercover mode needs at least one selected word pack with word pairs.");
     }
 
     room.gameStarted = true;
     room.currentRound = 1;
-    addChatMessage(roomCode, "Server", "Game is starting!");
+    room.currentMatch = createMatchRecord(room, uuidv4());
+    room.finalResults = null;
+    addSystemMessage(roomCode, "gameStarting");
     assignRolesAndWord(roomCode); // Start the first round
-    room.lastUpdateTimestamp = Date.now(); // Mark state as updated
-    return res.status(200).json({ message: "Game started." });
-});
+    touchRoom(roomCode);
+    return ok({ message: "Game started." });
+}
 
 // 4. Send Chat Message
-app.post("/api/room/:roomCode/chat", (req, res) => {
-    const { roomCode } = req.params;
-    const { name, msg } = req.body;
+// Messages are posted under the name of the player the session token belongs to,
+// so nobody can chat as someone else (or as the server). Spectators post to their own channel.
+function sendChat(roomCode, body) {
+    const { playerId, msg } = body;
     const room = rooms[roomCode];
 
-    if (!room) return res.status(404).json({ error: "Room not found." });
-    if (!name || !msg) return res.status(400).json({ error: "Name and message are required." });
+    if (!room) return missingRoom(roomCode);
+    const player = findMember(room, playerId);
+    if (!player) return fail(401, "Player not in this room. Please re-join.");
 
-    addChatMessage(roomCode, name, msg);
-    room.lastUpdateTimestamp = Date.now(); // Mark state as updated
-    return res.status(200).json({ message: "Message sent." });
-});
+    const { text, error } = validateChatMessage(msg);
+    if (error) return fail(400, error);
+    const waitMs = chatRateLimiter.hit(`${roomCode}:${player.id}`);
+    if (waitMs > 0) {
+        return fail(429, `You're sending messages too fast. Try again in ${Math.ceil(waitMs / 1000)} second(s).`);
+    }
+
+    markSeen(roomCode, player);
+    const channel = isSpectator(room, player.id) ? "spectators" : "room";
+    addChatMessage(roomCode, player.name, filterBadWords(text, badWords), player.id, channel);
+    touchRoom(roomCode);
+    return ok({ message: "Message sent." });
+}
 
 // 5. Start Vote
-app.post("/api/room/:roomCode/start-vote", (req, res) => {
-    const { roomCode } = req.params;
-    const { playerId } = req.body;
+function startVote(roomCode, body) {
+    const { playerId } = body;
     const room = rooms[roomCode];
 
-    if (!room) return res.status(404).json({ error: "Room not found." });
+    if (!room) return missingRoom(roomCode);
     const player = room.players.find(p => p.id === playerId);
     if (!player || !player.isHost) {
-        return res.status(403).json({ error: "Only the host can start the vote." });
+        return fail(403, "Only the host can start the vote.");
     }
     if (room.roundState !== "playing") {
-        return res.status(400).json({ error: "Voting can only start during the playing phase." });
+        return fail(400, "Voting can only start during the playing phase.");
     }
 
-    room.roundState = "voting";
-    room.votes = {}; // Reset votes
-    addChatMessage(roomCode, "Server", "Voting has started! Vote for who you think is the spy.");
-    room.lastUpdateTimestamp = Date.now();
-    return res.status(200).json({ message: "Voting started." });
-});
+    beginVoting(roomCode);
+    touchRoom(roomCode);
+    return ok({ message: "Voting started." });
+}
 
-// 6. Cast Vote
-app.post("/api/room/:roomCode/cast-vote", (req, res) => {
-    const { roomCode } = req.params;
-    const { voterId, targetPlayerId } = req.body;
+// 6. Cast Vote. Body: { targetPlayerIds } (or a single targetPlayerId), or { abstain: true }.
+// Casting again replaces the earlier vote.
+function castVote(roomCode, body) {
+    const { voterId, targetPlayerId, targetPlayerIds, abstain } = body;
     const room = rooms[roomCode];
 
-    if (!room || room.roundState !== "voting") {
-        return res.status(400).json({ error: "Voting is not active." });
+    if (!room || !isBallotOpen(room)) {
+        return fail(400, "Voting is not active.");
     }
+    const runoff = room.roundState === "runoff";
 
     const voter = room.players.find(p => p.id === voterId);
-    const target = room.players.find(p => p.id === targetPlayerId);
+    if (!voter) {
+        return fail(400, "Invalid voter or target player.");
+    }
+    if (!voter.role) {
+        return fail(403, "You weren't dealt into this round, so you can vote from the next one.");
+    }
 
-    if (!voter || !target) {
-        return res.status(400).json({ error: "Invalid voter or target player." });
+    // Several suspects may be marked when there are several spies.
+    // A runoff is limited to the tied players and the accusations still open.
+    // Abstaining is an empty ballot: it counts as having voted, against nobody.
+    const targetIds = abstain === true ? [] : [...new Set(Array.isArray(targetPlayerIds) ? targetPlayerIds : [targetPlayerId])];
+    const maxTargets = runoff ? room.tieBreak.seats : room.spies.length;
+    if ((targetIds.length === 0 && abstain !== true) || targetIds.length > maxTargets) {
+        return fail(400, `Vote for between 1 and ${maxTargets} players.`);
     }
-    if (voter.id === target.id) {
-        return res.status(400).json({ error: "You cannot vote for yourself." });
+    for (const targetId of targetIds) {
+        if (runoff && !room.tieBreak.candidates.includes(targetId)) {
+            return fail(400, "The runoff is only between the tied players.");
+        }
+        const target = room.players.find(p => p.id === targetId);
+        if (!target || !isConnected(target) || !target.role) {
+            return fail(400, "Invalid voter or target player.");
+        }
+        if (voter.id === target.id) {
+            return fail(400, "You cannot vote for yourself.");
+        }
     }
 
-    room.votes[voter.id] = target.id;
-    addChatMessage(roomCode, "Server", `${voter.name} has cast a vote.`);
-    room.lastUpdateTimestamp = Date.now();
-    return res.status(200).json({ message: "Vote cast successfully." });
-});
+    // Votes can be changed until the phase locks; vote badges replace chat announcements
+    const ballots = getBallots(room);
+    const changed = Boolean(ballots[voter.id]);
+    ballots[voter.id] = targetIds;
+
+    // No need to wait for the host or the timer once everyone has voted
+    if (hasEveryoneVoted(room)) {
+        addSystemMessage(roomCode, "everyoneVoted");
+        if (runoff) resolveRunoff(roomCode);
+        else resolveVoting(roomCode);
+    }
+    touchRoom(roomCode);
+    const message = targetIds.length === 0 ? "Abstained." : changed ? "Vote changed." : "Vote cast successfully.";
+    return ok({ message });
+}
 
 // 7. End Vote / Round (Host-triggered or via a separate 'auto-end' mechanism)
-app.post("/api/room/:roomCode/end-round", (req, res) => {
-    const { roomCode } = req.params;
-    const { playerId } = req.body; // Host ID to verify
+function endRound(roomCode, body) {
+    const { playerId } = body; // The sender, from their session: must be the host
     const room = rooms[roomCode];
 
-    if (!room || room.roundState !== "voting") {
-        return res.status(400).json({ error: "Cannot end round: Voting is not active or game not started." });
+    if (!room || !isBallotOpen(room)) {
+        return fail(400, "Cannot end round: Voting is not active or game not started.");
     }
     const player = room.players.find(p => p.id === playerId);
     if (!player || !player.isHost) {
-        return res.status(403).json({ error: "Only the host can end the round." });
+        return fail(403, "Only the host can end the round.");
     }
 
-    room.roundState = "ended";
-    let message = "Voting ended.";
+    if (room.roundState === "runoff") resolveRunoff(roomCode);
+    else resolveVoting(roomCode);
+    touchRoom(roomCode);
+    const messages = {
+        spyGuess: "Round ended. Waiting for the spy's guess.",
+        runoff: "Voting ended in a tie. Runoff vote started.",
+        hostDecision: "Voting ended in a tie. Waiting for the host to decide.",
+    };
+    return ok({ message: messages[room.roundState] || "Round ended." });
+}
 
-    // Calculate votes
-    let voteCounts = {}; // { targetPlayerId: count }
-    // Store who voted for whom to award points
-    let playerVotes = {}; // { voterId: targetPlayerId }
+// 8. Spy Guess (caught spies only, one guess each, during the spyGuess phase). Body: { guess }
+function submitSpyGuess(roomCode, body) {
+    const { playerId, guess } = body;
+    const room = rooms[roomCode];
 
-    for (const voterId in room.votes) {
-        const targetId = room.votes[voterId];
-        voteCounts[targetId] = (voteCounts[targetId] || 0) + 1;
-        playerVotes[voterId] = targetId; // Keep track of each player's vote
+    if (!room || room.roundState !== "spyGuess") {
+        return fail(400, "There is no spy guess to make right now.");
     }
-
-    let mostVotedPlayerId = null;
-    let maxVotes = 0;
-    // Check for ties in most voted players
-    let tiedPlayers = [];
-
-    for (const pId in voteCounts) {
-        if (voteCounts[pId] > maxVotes) {
-            maxVotes = voteCounts[pId];
-            mostVotedPlayerId = pId;
-            tiedPlayers = [pId]; // Start new tie group
-        } else if (voteCounts[pId] === maxVotes && maxVotes > 0) {
-            tiedPlayers.push(pId); // Add to tie group
-        }
+    if (!Object.hasOwn(room.spyGuesses, playerId)) {
+        return fail(403, "Only a caught spy can guess the word.");
     }
-
-    // Determine if the spy was caught
-    const totalPlayers = room.players.length;
-    const playersWhoVoted = Object.keys(playerVotes).length;
-    const spyPlayer = room.players.find(p => p.id === room.spy);
-    const spyName = spyPlayer ? spyPlayer.name : "the spy";
-
-    let spyCaught = false;
-
-    if (mostVotedPlayerId && tiedPlayers.includes(room.spy) && tiedPlayers.length === 1) {
-         // Spy was the unique most voted player
-         spyCaught = true;
-         message += ` Most voted: ${spyName} with ${maxVotes} votes.`;
-    } else if (mostVotedPlayerId && tiedPlayers.includes(room.spy) && tiedPlayers.length > 1) {
-        // Spy was among the most voted, but it was a tie.
-        // For simplicity, if there's a tie, and the spy is in it, we'll consider them "caught"
-        // by the group, but this might need further refinement based on specific game rules
-        // e.g., if you only want the spy caught if they are *uniquely* the most voted.
-        // For now, let's say a tie where spy is in it counts as caught.
-        spyCaught = true;
-        message += ` Most voted (tie): ${tiedPlayers.map(id => room.players.find(p => p.id === id)?.name || "Unknown").join(', ')}.`;
-    } else if (mostVotedPlayerId) {
-        const votedOutPlayer = room.players.find(p => p.id === mostVotedPlayerId);
-        message += ` Most voted: ${votedOutPlayer?.name || "Unknown Player"} with ${maxVotes} votes.`;
-    } else {
-        message += " No votes cast or a complete tie (everyone voted for someone different, no single majority).";
+    if (room.spyGuesses[playerId] !== null) {
+        return fail(400, "You have already made your guess.");
+    }
+    if (typeof guess !== "string" || !guess.trim()) {
+        return fail(400, "A guess is required.");
     }
 
-    // --- Apply New Scoring Logic ---
-    room.players.forEach(p => {
-        p.roundScore = 0; // Initialize round score for this round
+    const spyPlayer = room.players.find(p => p.id === playerId);
+    const correct = recordSpyGuess(roomCode, spyPlayer, guess.trim());
+    touchRoom(roomCode);
+    return ok({ message: correct ? "Correct guess!" : "Wrong guess.", correct });
+}
 
-        // 1. Civilian Scoring: 1 point if they voted for the actual spy
-        if (p.role === "civilian") {
-            if (playerVotes[p.id] === room.spy) {
-                p.score += 1;
-                p.roundScore = 1;
-                addChatMessage(roomCode, "Server", `${p.name} correctly voted for the spy and gets 1 point!`);
-            } else {
-                addChatMessage(roomCode, "Server", `${p.name} did not vote for the spy.`);
-            }
-        }
-    });
+// 9. Update Settings (host, lobby only). Body: { settings: { ...fields to change } }
+function updateSettings(roomCode, body) {
+    const { playerId } = body;
+    const room = rooms[roomCode];
 
-    // 2. Spy Scoring: 0 if caught (half or more caught him), else 1 point
-    if (spyPlayer) { // Ensure spyPlayer exists
-        let votesAgainstSpy = voteCounts[room.spy] || 0;
-        let minimumVotesToCatchSpy = Math.ceil(totalPlayers / 2); // Half or more players
-
-        if (votesAgainstSpy >= minimumVotesToCatchSpy) {
-            // Spy was caught
-            spyCaught = true; // Reinforce spyCaught flag
-            message += ` The spy (${spyName}) was caught with ${votesAgainstSpy} votes (${votesAgainstSpy} >= ${minimumVotesToCatchSpy} votes required)!`;
-            addChatMessage(roomCode, "Server", `${spyName} (the spy) was caught! No point for the spy this round.`);
-            // Spy gets 0 points (no score modification needed as default is 0)
-        } else {
-            // Spy was NOT caught (less than half caught him)
-            spyCaught = false; // Reinforce spyCaught flag
-            spyPlayer.score += 1; // Spy gets 1 point
-            spyPlayer.roundScore = 1;
-            message += ` The spy (${spyName}) escaped! Only ${votesAgainstSpy} votes were against them (less than ${minimumVotesToCatchSpy} required). Spy gets 1 point!`;
-            addChatMessage(roomCode, "Server", `${spyName} (the spy) escaped and gets 1 point!`);
-        }
-        message += ` The word was: ${room.word}.`;
+    if (!room) return missingRoom(roomCode);
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || !player.isHost) {
+        return fail(403, "Only the host can change the settings.");
+    }
+    if (room.gameStarted) {
+        return fail(400, "Settings can only be changed before the game starts.");
     }
 
+    const { settings, error } = applySettingsPatch(room.settings, body.settings, room.customPacks);
+    if (error) return fail(400, error);
 
-    addChatMessage(roomCode, "Server", message);
-    room.lastRoundResult = message; // Store for client to display
+    room.settings = settings;
+    touchRoom(roomCode);
+    return ok({ message: "Settings updated.", settings });
+}
 
-    // Check if game is over
-    if (room.currentRound >= GAME_SETTINGS.MAX_ROUNDS) {
-        addChatMessage(roomCode, "Server", "Game Over! Final Scores:");
-        room.players.sort((a, b) => b.score - a.score).forEach(p => {
-            addChatMessage(roomCode, "Server", `${p.name}: ${p.score} points`);
-        });
-        resetGame(roomCode); // Reset for next game
-    } else {
-        // Prepare for next round
-        room.currentRound++;
-        addChatMessage(roomCode, "Server", `Starting Round ${room.currentRound}...`);
-        assignRolesAndWord(roomCode); // Start next round
+// 10. Upload Custom Word Pack (host, lobby only). Body: { format: "json" | "csv", content, name?, language?, category? }
+function uploadWordPack(roomCode, body) {
+    const { playerId } = body;
+    const room = rooms[roomCode];
+
+    if (!room) return missingRoom(roomCode);
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || !player.isHost) {
+        return fail(403, "Only the host can upload word packs.");
+    }
+    if (room.gameStarted) {
+        return fail(400, "Word packs can only be changed before the game starts.");
+    }
+    if (Object.keys(room.customPacks).length >= WORD_PACK_LIMITS.MAX_CUSTOM_PACKS_PER_ROOM) {
+        return fail(400, `A room can have at most ${WORD_PACK_LIMITS.MAX_CUSTOM_PACKS_PER_ROOM} custom packs.`);
     }
-    room.lastUpdateTimestamp = Date.now();
-    return res.status(200).json({ message: "Round ended." });
-});
 
+    const { pack, error } = parseCustomPack(body);
+    if (error) return fail(400, error);
 
-// --- Helper Functions for Server Logic ---
+    pack.id = `custom-${uuidv4().slice(0, 8)}`;
+    room.customPacks[pack.id] = pack;
+    room.settings.wordPackIds = [...room.settings.wordPackIds, pack.id]; // Uploading a pack also selects it
+    addSystemMessage(roomCode, "wordPackAdded", { name: player.name, pack: pack.name, words: pack.words.length });
+    touchRoom(roomCode);
+    return ok({ message: "Word pack uploaded.", pack: describePack(pack) });
+}
 
-function assignRolesAndWord(roomCode) {
+// 11. Spy Preference: whether this player, when a spy, sees the other spies. Body: { knowFellowSpies }
+function setSpyPreference(roomCode, body) {
+    const { playerId, knowFellowSpies } = body;
     const room = rooms[roomCode];
-    if (!room || room.players.length < 2) {
-        addChatMessage(roomCode, "Server", "Not enough players to assign roles. Resetting game.");
-        resetGame(roomCode);
-        return;
-    }
-
-    const randomWord = WORDS[Math.floor(Math.random() * WORDS.length)];
-    const spyIndex = Math.floor(Math.random() * room.players.length);
 
-    room.word = randomWord;
-    room.spy = room.players[spyIndex].id;
+    if (!room) return missingRoom(roomCode);
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return fail(400, "You are not in this room.");
+    if (typeof knowFellowSpies !== "boolean") {
+        return fail(400, "knowFellowSpies must be true or false.");
+    }
 
-    room.players.forEach((p) => {
-        p.role = (p.id === room.spy) ? "spy" : "civilian";
-        p.word = (p.id === room.spy) ? null : randomWord;
-    });
+    player.knowsFellowSpies = knowFellowSpies;
+    touchRoom(roomCode);
+    return ok({ message: "Preference saved.", knowsFellowSpies: player.knowsFellowSpies });
+}
 
+// 12. Leave Room
+function leaveRoom(roomCode, body) {
+    const { playerId } = body;
+    const room = rooms[roomCode];
 
-    // --- NEW LOGIC FOR GENERATING DISCUSSION TURNS STRING ---
-    const playerNames = room.players.map(p => p.name);
-    const numPlayers = playerNames.length;
+    if (!room) return missingRoom(roomCode);
+    const player = findMember(room, playerId);
+    if (!player) return fail(400, "You are not in this room.");
 
-    for (let i = numPlayers - 1; i > 0; i--) {
-    // Pick a random index from 0 to i
-    const j = Math.floor(Math.random() * (i + 1));
+    removePlayer(roomCode, player, "playerLeft");
+    return ok({ message: "Left room." });
+}
 
-    // Swap elements at i and j
-    [playerNames[i], playerNames[j]] = [playerNames[j], playerNames[i]];
-    
+// Shared checks for host moderation; returns { target } (a player or spectator) or { result } with the failure.
+// actorId is the player sending the request, as verified from their session.
+function findModerationTarget(room, actorId, targetPlayerId, verb) {
+    const host = room.players.find(p => p.id === actorId);
+    if (!host || !host.isHost) {
+        return { result: fail(403, `Only the host can ${verb} players.`) };
     }
+    const target = findMember(room, targetPlayerId);
+    if (!target) return { result: fail(400, "Invalid target player.") };
+    if (target.id === host.id) return { result: fail(400, `You cannot ${verb} yourself.`) };
+    return { target };
+}
 
-    let turns = [];
+// 13. Kick Player (host). Body: { targetPlayerId }. A kicked player may join again.
+function kickPlayer(roomCode, body) {
+    const room = rooms[roomCode];
+    if (!room) return missingRoom(roomCode);
+    const { target, result } = findModerationTarget(room, body.playerId, body.targetPlayerId, "kick");
+    if (result) return result;
 
-    for (let i = 0; i < numPlayers; i++) {
-        const asker = playerNames[i];
-        const target = playerNames[(i + 1) % numPlayers]; // The next player in the list
-        turns.push(`${asker} -> ${target}`);
-    }
+    room.removedPlayers[target.id] = "kicked";
+    removePlayer(roomCode, target, "playerKicked");
+    return ok({ message: "Player kicked." });
+}
 
-    // You can make this more complex if you want more turns or random order:
-    // Example: double the turns, or shuffle after initial round-robin
-    // For now, let's keep it simple as per your request.
-    
-    room.discussionTurnsString = turns.join(", "); // e.g., "King -> Speed, Speed -> Blaze, Blaze -> King"
+// 14. Ban Player (host). Body: { targetPlayerId }. Blocks their session and name for the life of the room.
+function banPlayer(roomCode, body) {
+    const room = rooms[roomCode];
+    if (!room) return missingRoom(roomCode);
+    const { target, result } = findModerationTarget(room, body.playerId, body.targetPlayerId, "ban");
+    if (result) return result;
+
+    room.removedPlayers[target.id] = "banned";
+    room.bannedPlayerIds.push(target.id);
+    room.bannedNames.push(normalizeName(target.name));
+    removePlayer(roomCode, target, "playerBanned");
+    return ok({ message: "Player banned." });
+}
 
 
+// 15. Advance Turn (the current asker or the host, during discussion)
+function advanceTurnAction(roomCode, body) {
+    const { playerId } = body;
+    const room = rooms[roomCode];
 
-    room.roundState = "playing";
-    addChatMessage(roomCode, "Server", "New round started! Roles assigned.");
-    addChatMessage(roomCode, "Server", `Suggested Discussion Flow: ${room.discussionTurnsString}`);
-    room.lastUpdateTimestamp = Date.now();
+    if (!room || room.roundState !== "playing") {
+        return fail(400, "There is no discussion going on.");
+    }
+    const player = room.players.find(p => p.id === playerId);
+    const turn = room.discussionTurns[room.currentTurnIndex];
+    if (!player || (!player.isHost && player.id !== turn?.askerId)) {
+        return fail(403, "Only the current asker or the host can move to the next question.");
+    }
+
+    advanceTurn(roomCode);
+    touchRoom(roomCode);
+    return ok({ message: "Next question." });
 }
 
-function resetGame(roomCode) {
+// 16. Continue (host, during the reveal): on to the next round or the final results
+function continueRound(roomCode, body) {
+    const { playerId } = body;
     const room = rooms[roomCode];
-    if (room) {
-        room.gameStarted = false;
-        room.currentRound = 0;
-        room.roundState = "waiting";
-        room.word = "";
-        room.spy = "";
-        room.votes = {};
-        room.chat = []; // Clear chat on game reset
-        room.players.forEach(p => {
-            p.score = 0;
-            p.role = null;
-            p.word = null;
-            p.isHost = (room.players.indexOf(p) === 0); // Re-assign host if first in list
-        });
-        addChatMessage(roomCode, "Server", "Game has been reset.");
-        room.lastUpdateTimestamp = Date.now();
+
+    if (!room || room.roundState !== "reveal") {
+        return fail(400, "There is no round result to move on from.");
+    }
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || !player.isHost) {
+        return fail(403, "Only the host can continue.");
     }
+
+    continueAfterReveal(roomCode);
+    touchRoom(roomCode);
+    return ok({ message: "Continuing." });
 }
 
-// Handle player disconnection (conceptual for HTTP - would need session management)
-// For this polling model, a player "disconnects" if they stop polling or don't send their playerId for a long time.
-// This is much harder to manage cleanly than with WebSockets.
-// For now, players will just remain in the room until the server restarts or a dedicated "leave room" endpoint is called.
-// To implement proper player removal: you'd need a "heartbeat" from the client and a server-side cleanup timer.
+// 17. Break Tie (host, when the tie policy leaves it to them). Body: { targetPlayerIds }
+function breakTie(roomCode, body) {
+    const { playerId, targetPlayerIds } = body;
+    const room = rooms[roomCode];
+
+    if (!room || room.roundState !== "hostDecision") {
+        return fail(400, "There is no tie to break.");
+    }
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || !player.isHost) {
+        return fail(403, "Only the host can break the tie.");
+    }
+    const { tieBreak } = room;
+    const chosen = Array.isArray(targetPlayerIds) ? [...new Set(targetPlayerIds)] : [];
+    if (chosen.length !== tieBreak.seats || !chosen.every(id => tieBreak.candidates.includes(id))) {
+        return fail(400, `Choose ${tieBreak.seats} of the tied players.`);
+    }
+
+    tieBreak.chosen = chosen;
+    scoreRound(roomCode, [...tieBreak.accused, ...chosen], [...tieBreak.summary, messagePart("hostAccused", { names: playerNames(room, chosen) })]);
+    touchRoom(roomCode);
+    return ok({ message: "Tie broken." });
+}
+
+// 18. Promote Spectator (host, between games). Body: { targetPlayerId }
+function promoteSpectator(roomCode, body) {
+    const { playerId, targetPlayerId } = body;
+    const room = rooms[roomCode];
+
+    if (!room) return missingRoom(roomCode);
+    const host = room.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) {
+        return fail(403, "Only the host can promote spectators.");
+    }
+    if (room.gameStarted) {
+        return fail(400, "Spectators can only join the players between games.");
+    }
+    const spectator = room.spectators.find(s => s.id === targetPlayerId);
+    if (!spectator) return fail(400, "Invalid target spectator.");
+    if (room.players.length >= ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM) {
+        return fail(409, `The room is full (${ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM} players).`);
+    }
+
+    room.spectators = room.spectators.filter(s => s.id !== spectator.id);
+    const player = createPlayer(spectator.id, spectator.name, false);
+    player.presence = spectator.presence;
+    player.lastSeen = spectator.lastSeen;
+    room.players.push(player);
+    addSystemMessage(roomCode, "spectatorPromoted", { name: player.name });
+    touchRoom(roomCode);
+    return ok({ message: "Spectator promoted." });
+}
+
+// 19. Add Bot (host, lobby only). Bots are removed like players, with a kick.
+function addBot(roomCode, body) {
+    const { playerId } = body;
+    const room = rooms[roomCode];
+
+    if (!room) return missingRoom(roomCode);
+    const host = room.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) {
+        return fail(403, "Only the host can add bots.");
+    }
+    if (room.gameStarted) {
+        return fail(400, "Bots can only be added between games.");
+    }
+    if (room.players.filter(p => p.isBot).length >= BOT_LIMITS.MAX_PER_ROOM) {
+        return fail(400, `A room can have at most ${BOT_LIMITS.MAX_PER_ROOM} bots.`);
+    }
+    if (room.players.length >= ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM) {
+        return fail(409, `The room is full (${ROOM_SETTINGS.MAX_PLAYERS_PER_ROOM} players).`);
+    }
+
+    // Named in the language of the first selected pack
+    const language = findPack(room.customPacks, room.settings.wordPackIds[0])?.language;
+    const takenNames = [...room.players, ...room.spectators].map(p => normalizeName(p.name));
+    const name = pickBotName(language, candidate => takenNames.includes(normalizeName(candidate)) || room.bannedNames.includes(normalizeName(candidate)));
+    const bot = createPlayer(uuidv4(), name, false);
+    bot.isBot = true;
+    bot.knowsFellowSpies = true; // A spy bot won't vote against its teammates
+    room.players.push(bot);
+    addSystemMessage(roomCode, "botAdded", { name });
+    touchRoom(roomCode);
+    return ok({ message: "Bot added.", playerId: bot.id });
+}
+
+// Room actions are shared by the REST endpoints and the socket "action" event. Handlers
+// read the acting player from body.playerId (body.voterId for votes), which both
+// transports fill in from the verified session, never from what the client sent.
+const roomActions = {
+    "start-game": startGame,
+    "chat": sendChat,
+    "start-vote": startVote,
+    "cast-vote": castVote,
+    "end-round": endRound,
+    "spy-guess": submitSpyGuess,
+    "settings": updateSettings,
+    "word-packs/custom": uploadWordPack,
+    "spy-preference": setSpyPreference,
+    "leave": leaveRoom,
+    "advance-turn": advanceTurnAction,
+    "continue": continueRound,
+    "break-tie": breakTie,
+    "kick": kickPlayer,
+    "ban": banPlayer,
+    "promote-spectator": promoteSpectator,
+    "add-bot": addBot,
+};
+
+// Actions exposed over REST with a verb other than POST
+const actionMethods = {
+    "settings": "patch",
+};
+
+// Runs a room action as the given player, whatever ids the body carries
+function runRoomAction(handler, roomCode, playerId, body) {
+    return handler(roomCode, { ...body, playerId, voterId: playerId });
+}
+
+// REST actions authenticate per request: the body's sessionToken names the player
+for (const [action, handler] of Object.entries(roomActions)) {
+    app[actionMethods[action] || "post"](`/api/room/:roomCode/${action}`, (req, res) => {
+        const { roomCode } = req.params;
+        const { sessionToken, ...body } = req.body ?? {};
+        if (!rooms[roomCode]) {
+            const missing = missingRoom(roomCode);
+            return res.status(missing.status).json(missing.body);
+        }
+        const playerId = sessionPlayerId(roomCode, sessionToken);
+        if (!playerId) {
+            return res.status(401).json({ error: "Your session is not valid for this room. Please re-join." });
+        }
+        const result = runRoomAction(handler, roomCode, playerId, body);
+        return res.status(result.status).json(result.body);
+    });
+}
+
+// Sockets subscribe to one room as one player, then receive "room-state" pushes
+// and may send any room action. Subscribing takes the player's session token, and
+// actions always run as the player it was issued for, as they do over REST, so
+// neither transport lets anyone act on someone else's behalf.
+// Socket messages come from anyone: a payload that isn't an object counts as empty,
+// and a missing or bogus ack callback is ignored rather than called
+function readSocketMessage(payload, ack) {
+    return {
+        message: payload && typeof payload === "object" ? payload : {},
+        reply: typeof ack === "function" ? ack : () => {},
+    };
+}
+
+io.on("connection", (socket) => {
+    socket.on("subscribe", (payload, ack) => {
+        const { message, reply } = readSocketMessage(payload, ack);
+        const { roomCode, sessionToken } = message;
+        const room = rooms[roomCode];
+        if (!room) {
+            const missing = missingRoom(roomCode);
+            return reply({ ...missing, reason: missing.body.reason });
+        }
+        const playerId = sessionPlayerId(roomCode, sessionToken);
+        if (!playerId) {
+            return reply(fail(401, "Your session is not valid for this room. Please re-join."));
+        }
+        const player = findMember(room, playerId);
+        if (!player && room.removedPlayers[playerId]) {
+            return reply({ ...fail(403, "You were removed from this room."), reason: room.removedPlayers[playerId] });
+        }
+        if (!player) return reply(fail(401, "Player not in this room. Please re-join."));
+
+        if (socket.data.roomCode) socket.leave(socketRoomName(socket.data.roomCode));
+        socket.data.roomCode = roomCode;
+        socket.data.playerId = playerId;
+        socket.join(socketRoomName(roomCode));
+        markSeen(roomCode, player);
+
+        reply(ok({ message: "Subscribed." }));
+        socket.emit("room-state", buildRoomState(roomCode, player));
+    });
+
+    // Keeps the player's presence alive while the socket is open
+    socket.on("heartbeat", () => {
+        const { roomCode, playerId } = socket.data;
+        const player = rooms[roomCode] && findMember(rooms[roomCode], playerId);
+        if (player) markSeen(roomCode, player);
+    });
+
+    socket.on("action", (actionMessage, ack) => {
+        const { message, reply } = readSocketMessage(actionMessage, ack);
+        const { type } = message;
+        const { roomCode, playerId } = socket.data;
+        const handler = typeof type === "string" && Object.hasOwn(roomActions, type) ? roomActions[type] : null;
+        if (!roomCode) return reply(fail(400, "Subscribe to a room before sending actions."));
+        if (!handler) return reply(fail(400, `Unknown action: ${type}`));
+
+        const player = rooms[roomCode] && findMember(rooms[roomCode], playerId);
+        if (player) markSeen(roomCode, player);
+
+        // Over REST Express turns a throwing handler into a 500; here nothing else would catch it
+        try {
+            const { message: payload } = readSocketMessage(message.payload);
+            reply(runRoomAction(handler, roomCode, playerId, payload));
+        } catch (error) {
+            console.error(`Room action ${type} failed in room ${roomCode}:`, error);
+            reply(fail(500, "Something went wrong on the server."));
+        }
+    });
+});
+
+
+// --- Helper Functions for Server Logic ---
+
+// Opens the voting phase, with its deadline if the room has one
+function beginVoting(roomCode) {
+    const room = rooms[roomCode];
+    clearTurnTimer(roomCode);
+    room.roundState = "voting";
+    room.votes = {}; // Reset votes
+    addSystemMessage(roomCode, "votingStarted");
+    schedulePhaseEnd(roomCode, room.settings.votingSeconds);
+}
+
+// Closes the voting phase: tallies votes and works out who is accused, then
+// scores the round, or settles a tie first by the room's tie policy. Used by
+// the host's /end-round, the voting timer and the "everyone has voted" check.
+function resolveVoting(roomCode) {
+    const room = rooms[roomCode];
+    clearPhaseTimer(roomCode);
+    room.roundState = "ended";
+    const summary = [messagePart("votingEnded")]; // The round's result, as system message parts
+
+    // Calculate votes: each voter marks one suspect per spy at most
+    const voteCounts = tallyVotes(room.votes); // { targetPlayerId: count }
+
+    let mostVotedPlayerId = null;
+    let maxVotes = 0;
+    // Check for ties in most voted players
+    let tiedPlayers = [];
+
+    for (const pId in voteCounts) {
+        if (voteCounts[pId] > maxVotes) {
+            maxVotes = voteCounts[pId];
+            mostVotedPlayerId = pId;
+            tiedPlayers = [pId]; // Start new tie group
+        } else if (voteCounts[pId] === maxVotes && maxVotes > 0) {
+            tiedPlayers.push(pId); // Add to tie group
+        }
+    }
+
+    if (mostVotedPlayerId && tiedPlayers.length > 1) {
+        summary.push(messagePart("mostVotedTie", { names: playerNames(room, tiedPlayers) }));
+    } else if (mostVotedPlayerId) {
+        summary.push(messagePart("mostVoted", { name: playerNames(room, [mostVotedPlayerId])[0], votes: maxVotes }));
+    } else {
+        summary.push(messagePart("noVotes"));
+    }
+
+    // One accusation per spy, for the most voted players who reached the threshold
+    // Disconnected players don't count toward the threshold; abstainers do, as votes against nobody
+    const totalPlayers = getRoundPlayers(room).length;
+    const minimumVotes = votesNeededToCatch(room.settings, totalPlayers);
+    const { accused, tied, openSeats } = findAccused(voteCounts, room.spies.length, minimumVotes);
+
+    if (tied.length === 0) {
+        scoreRound(roomCode, accused, summary);
+        return;
+    }
+
+    const policy = room.settings.tiePolicy;
+    summary.push(messagePart("tiedForSeats", { names: playerNames(room, tied), seats: openSeats }));
+    room.tieBreak = { policy, candidates: tied, seats: openSeats, accused, votes: {}, tally: {}, chosen: [], summary };
+
+    if (policy === "runoff") {
+        room.roundState = "runoff";
+        addSystemParts(roomCode, [...summary, messagePart("runoffStarted")]);
+        schedulePhaseEnd(roomCode, room.settings.votingSeconds);
+    } else if (policy === "hostDecides") {
+        room.roundState = "hostDecision";
+        addSystemParts(roomCode, [...summary, messagePart("hostWillDecide")]);
+    } else {
+        scoreRound(roomCode, accused, [...summary, messagePart("spiesWinTie")]);
+    }
+}
+
+// Closes the runoff: the tied players with the most runoff votes are accused.
+// A runoff that ties again goes the spies' way.
+function resolveRunoff(roomCode) {
+    const room = rooms[roomCode];
+    clearPhaseTimer(roomCode);
+    room.roundState = "ended";
+
+    const { tieBreak } = room;
+    tieBreak.tally = tallyVotes(tieBreak.votes);
+    const runoffCounts = Object.fromEntries(tieBreak.candidates.map(id => [id, tieBreak.tally[id] || 0]));
+    const { accused, tied } = findAccused(runoffCounts, tieBreak.seats, 1);
+    tieBreak.chosen = accused;
+
+    const results = tieBreak.candidates.map(id => ({ name: playerNames(room, [id])[0], votes: runoffCounts[id] }));
+    const summary = [...tieBreak.summary, messagePart("runoffResult", { results })];
+    if (tied.length > 0) {
+        summary.push(messagePart("runoffStillTied"));
+    }
+    scoreRound(roomCode, [...tieBreak.accused, ...accused], summary);
+}
+
+// Scores the round once it's settled who is accused: a spy is caught when accused.
+// Then caught spies get their guess, or the round moves on to the reveal.
+// summary is the result so far, as system message parts.
+function scoreRound(roomCode, accusedIds, summary) {
+    const room = rooms[roomCode];
+    room.roundState = "ended";
+    const voteCounts = tallyVotes(room.votes);
+    const { settings } = room;
+    const spyPlayers = room.spies.map(id => room.players.find(p => p.id === id)).filter(Boolean);
+    const undercover = settings.mode === "undercover";
+    const spyRole = { undercover, spyCount: spyPlayers.length }; // Lets clients say "the spy", "a spy" or "undercover"
+    const caughtSpies = [];
+
+    // --- Apply the Room's Scoring Rules ---
+    const caughtIds = room.spies.filter(id => accusedIds.includes(id));
+    const changes = scoreVotes(settings.scoring, describeRoundForScoring(room, caughtIds));
+    room.players.forEach(p => {
+        p.roundScore = 0; // Initialize round score for this round
+    });
+    applyScoreChanges(room, changes);
+    const pointsFor = (playerId, reason) => changes.find(c => c.playerId === playerId && c.reason === reason)?.points;
+
+    // 1. Civilians: points for every spy they marked. Undercover players score their
+    // votes the same way (see scoring.js), but only a hit is worth announcing for them.
+    room.players.forEach(p => {
+        const marked = changes.find(c => c.playerId === p.id && c.reason === "markedSpies");
+        if (p.role !== "civilian" && !marked) return;
+        if (marked) {
+            addSystemMessage(roomCode, "markedSpies", { name: p.name, count: marked.count, points: marked.points, ...spyRole });
+        } else if (room.votes[p.id]?.length === 0) {
+            addSystemMessage(roomCode, "abstained", { name: p.name });
+        } else {
+            addSystemMessage(roomCode, "missedSpy", { name: p.name, ...spyRole });
+        }
+        const bonus = pointsFor(p.id, "unanimousCatch");
+        if (bonus !== undefined) {
+            addSystemMessage(roomCode, "unanimousBonus", { name: p.name, points: bonus });
+        }
+    });
+
+    // 2. Spies: nothing if caught (accused by the table), else whatever the rules give for escaping
+    spyPlayers.forEach(spyPlayer => {
+        const votesAgainstSpy = voteCounts[spyPlayer.id] || 0;
+
+        if (caughtIds.includes(spyPlayer.id)) {
+            caughtSpies.push(spyPlayer);
+            room.spyOutcomes[spyPlayer.id] = "caught";
+            summary.push(messagePart("summarySpyCaught", { name: spyPlayer.name, votes: votesAgainstSpy, ...spyRole }));
+            addSystemMessage(roomCode, "spyCaught", { name: spyPlayer.name, ...spyRole });
+        } else {
+            room.spyOutcomes[spyPlayer.id] = "escaped";
+            const points = pointsFor(spyPlayer.id, "escaped") ?? 0;
+            summary.push(messagePart("summarySpyEscaped", { name: spyPlayer.name, votes: votesAgainstSpy, points, ...spyRole }));
+            addSystemMessage(roomCode, "spyEscaped", { name: spyPlayer.name, points, ...spyRole });
+            const victims = changes
+                .filter(c => c.reason === "stolenBySpy" && c.fromId === spyPlayer.id)
+                .map(c => ({ name: playerNames(room, [c.playerId])[0], points: -c.points }));
+            if (victims.length > 0) {
+                summary.push(messagePart("summarySpySteals", { victims }));
+                addSystemMessage(roomCode, "spySteals", { name: spyPlayer.name, victims });
+            }
+        }
+    });
+
+    // Caught spies get a last chance to guess the word, so it stays secret until then.
+    // Undercover players had a word of their own, so there is nothing for them to guess.
+    if (caughtSpies.length > 0 && !undercover) {
+        addSystemParts(roomCode, summary);
+        room.lastRoundResult = summary;
+        startSpyGuess(roomCode, caughtSpies);
+        return;
+    }
+
+    summary.push(describeRoundWords(room));
+    addSystemParts(roomCode, summary);
+    room.lastRoundResult = summary; // Kept in the round record (history.js)
+
+    finishRound(roomCode);
+}
+
+// The round as the scoring rules see it (scoring.js)
+function describeRoundForScoring(room, caughtIds) {
+    return {
+        players: room.players
+            .filter(p => p.role)
+            .map(p => ({ id: p.id, role: p.role, score: p.score, connected: isConnected(p) })),
+        votes: room.votes,
+        spyIds: room.spies,
+        caughtIds,
+        settings: room.settings,
+    };
+}
+
+// Adds score changes to the players' totals and to the round's list of reasons
+function applyScoreChanges(room, changes) {
+    for (const change of changes) {
+        const player = room.players.find(p => p.id === change.playerId);
+        if (!player) continue;
+        player.score += change.points;
+        player.roundScore += change.points;
+        room.scoreChanges.push(change);
+    }
+}
+
+// { targetPlayerId: votes } from { voterId: [targetPlayerIds] }
+function tallyVotes(ballots) {
+    const counts = {};
+    for (const targetIds of Object.values(ballots)) {
+        for (const targetId of targetIds) {
+            counts[targetId] = (counts[targetId] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+// The table accuses up to `seats` players: the most voted among those with at least
+// minimumVotes. When the last seats are contested by players on equal votes, those
+// players come back as `tied` and `openSeats` says how many of them can be accused.
+function findAccused(voteCounts, seats, minimumVotes) {
+    const ranked = Object.keys(voteCounts)
+        .filter(id => voteCounts[id] >= minimumVotes)
+        .sort((a, b) => voteCounts[b] - voteCounts[a]);
+    if (ranked.length <= seats) {
+        return { accused: ranked, tied: [], openSeats: 0 };
+    }
+
+    const cutoff = voteCounts[ranked[seats - 1]];
+    const accused = ranked.filter(id => voteCounts[id] > cutoff);
+    const tied = ranked.filter(id => voteCounts[id] === cutoff);
+    if (accused.length + tied.length <= seats) {
+        return { accused: [...accused, ...tied], tied: [], openSeats: 0 };
+    }
+    return { accused, tied, openSeats: seats - accused.length };
+}
+
+// Player names for message parameters; anyone who already left comes out as null
+function playerNames(room, playerIds) {
+    return playerIds.map(id => room.players.find(p => p.id === id)?.name ?? null);
+}
+
+// Records one caught spy's guess (null when they never made one) and scores it.
+// Once every caught spy has guessed, reveals the word and moves on. Returns whether it was correct.
+function recordSpyGuess(roomCode, spyPlayer, guess) {
+    const room = rooms[roomCode];
+    const correct = guess !== null && normalizeWord(guess) === normalizeWord(room.word);
+    room.spyGuesses[spyPlayer.id] = { guess, correct };
+
+    if (guess === null) {
+        addSystemMessage(roomCode, "spyNoGuess", { name: spyPlayer.name });
+    } else if (correct) {
+        const changes = scoreCorrectGuess(room.settings.scoring, describeRoundForScoring(room, Object.keys(room.spyGuesses)), spyPlayer.id);
+        applyScoreChanges(room, changes);
+        const points = changes.reduce((sum, c) => sum + (c.playerId === spyPlayer.id ? c.points : 0), 0);
+        addSystemMessage(roomCode, "spyGuessRight", { name: spyPlayer.name, guess, points });
+    } else {
+        addSystemMessage(roomCode, "spyGuessWrong", { name: spyPlayer.name, guess });
+    }
+    room.lastRoundResult.push(messagePart("summarySpyGuess", { name: spyPlayer.name, guess, correct }));
+
+    if (getPendingSpyGuessIds(room).length === 0) {
+        concludeSpyGuesses(roomCode);
+    }
+    return correct;
+}
+
+function getPendingSpyGuessIds(room) {
+    return Object.keys(room.spyGuesses).filter(id => room.spyGuesses[id] === null);
+}
+
+function concludeSpyGuesses(roomCode) {
+    const room = rooms[roomCode];
+    clearPhaseTimer(roomCode);
+    addSystemParts(roomCode, [describeRoundWords(room)]);
+    room.lastRoundResult.push(describeRoundWords(room));
+    finishRound(roomCode);
+}
+
+// Time's up for the spy guess: whoever hasn't guessed forfeits
+function expireSpyGuesses(roomCode) {
+    const room = rooms[roomCode];
+    for (const spyId of getPendingSpyGuessIds(room)) {
+        const spyPlayer = room.players.find(p => p.id === spyId);
+        if (spyPlayer) recordSpyGuess(roomCode, spyPlayer, null);
+    }
+}
+
+function startSpyGuess(roomCode, caughtSpies) {
+    const room = rooms[roomCode];
+    const pack = findPack(room.customPacks, room.wordPackId);
+    room.spyGuessOptions = pack
+        ? buildGuessOptions(room.customPacks, pack, room.word, GAME_SETTINGS.SPY_GUESS_OPTIONS)
+        : [room.word];
+    room.spyGuesses = Object.fromEntries(caughtSpies.map(p => [p.id, null]));
+    room.roundState = "spyGuess";
+    addSystemMessage(roomCode, "spyGuessChance", { names: caughtSpies.map(p => p.name) });
+    schedulePhaseEnd(roomCode, GAME_SETTINGS.SPY_GUESS_SECONDS);
+}
+
+// Once a round is fully resolved everyone sees the reveal (who the spies were,
+// the word, the votes and the points) until the host moves on
+function finishRound(roomCode) {
+    const room = rooms[roomCode];
+    clearPhaseTimer(roomCode);
+    clearTurnTimer(roomCode);
+    room.roundResult = buildRoundRecord(room);
+    room.currentMatch?.rounds.push(room.roundResult);
+    room.spyGuessOptions = [];
+    room.roundState = "reveal";
+}
+
+// After the reveal: next round or game over
+function continueAfterReveal(roomCode) {
+    const room = rooms[roomCode];
+    room.roundResult = null;
+
+    // Check if game is over. The standings reach players as room.finalResults, not chat,
+    // since resetGame clears the chat.
+    if (room.currentRound >= room.settings.maxRounds) {
+        archiveMatch(room, room.currentMatch, true);
+        room.finalResults = buildFinalResults(room.currentMatch);
+        room.currentMatch = null;
+        resetGame(roomCode); // Reset for next game
+    } else {
+        // Prepare for next round
+        room.currentRound++;
+        addSystemMessage(roomCode, "roundStarting", { round: room.currentRound });
+        assignRolesAndWord(roomCode); // Start next round
+    }
+}
+
+function assignRolesAndWord(roomCode) {
+    const room = rooms[roomCode];
+    const activePlayers = room ? getConnectedPlayers(room) : [];
+    if (!room || activePlayers.length < 2) {
+        addSystemMessage(roomCode, "notEnoughToAssign");
+        resetGame(roomCode);
+        return;
+    }
+
+    const packs = room.settings.wordPackIds.map(id => findPack(room.customPacks, id)).filter(Boolean);
+    // Undercover rounds need a pair of similar words; classic rounds a single word
+    const pair = room.settings.mode === "undercover" ? drawWordPair(packs) : null;
+    const { word: randomWord, pack } = pair ? { word: pair.civilianWord, pack: pair.pack } : drawWord(packs);
+    // At least one civilian, even if players dropped out since the settings were chosen
+    const spyCount = Math.min(room.settings.spyCount, activePlayers.length - 1);
+    const shuffledPlayers = shuffle(activePlayers);
+
+    room.word = randomWord;
+    room.wordPackId = pack.id;
+    room.wordCategory = pack.category;
+    room.undercoverWord = pair ? pair.undercoverWord : "";
+    room.spies = shuffledPlayers.slice(0, spyCount).map(p => p.id);
+    room.spyGuesses = {};
+    room.spyOutcomes = {};
+    room.scoreChanges = [];
+    room.tieBreak = null;
+
+    // Disconnected players sit the round out (no role, no word)
+    room.players.forEach((p) => {
+        const playing = isConnected(p);
+        const isSpy = room.spies.includes(p.id);
+        p.role = !playing ? null : isSpy ? "spy" : "civilian";
+        p.word = !playing ? null : !isSpy ? randomWord : pair ? pair.undercoverWord : null;
+        p.roundScore = 0;
+    });
+
+
+    // --- NEW LOGIC FOR GENERATING DISCUSSION TURNS STRING ---
+    const playerIds = activePlayers.map(p => p.id);
+    const numPlayers = playerIds.length;
+
+    for (let i = numPlayers - 1; i > 0; i--) {
+        // Pick a random index from 0 to i
+        const j = Math.floor(Math.random() * (i + 1));
+
+        // Swap elements at i and j
+        [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
+    }
+
+    room.discussionOrder = playerIds; // Kept so the flow can skip players who drop out mid-round
+    room.discussionTurns = buildDiscussionTurns(room);
+    room.currentTurnIndex = 0;
+    room.discussionLap = 1;
+    room.discussionTurnsString = buildDiscussionTurnsString(room);
+    startTurnTimer(roomCode);
+
+    room.roundState = "playing";
+    addSystemMessage(roomCode, "newRound");
+    addSystemMessage(roomCode, "discussionFlow", { turns: describeDiscussionTurns(room) });
+    schedulePhaseEnd(roomCode, room.settings.discussionSeconds);
+    touchRoom(roomCode);
+}
+
+// In undercover mode nobody learns their role until the round is scored and revealed,
+// so it stays hidden through every phase before that, tie-breaks included
+function isRoleHidden(room) {
+    return room.settings.mode === "undercover" && room.roundState !== "reveal";
+}
+
+// "The word was ..." as a message part
+function describeRoundWords(room) {
+    return messagePart("roundWords", { word: room.word, undercoverWord: room.undercoverWord || null });
+}
+
+// [{ asker, target }] names for the discussion flow messages
+function describeDiscussionTurns(room) {
+    return room.discussionTurns.map(turn => ({
+        asker: playerNames(room, [turn.askerId])[0],
+        target: playerNames(room, [turn.targetId])[0],
+    }));
+}
+
+// Each player asks the next one in the discussion order, wrapping around.
+// Players who have disconnected since the round started are skipped.
+function buildDiscussionTurns(room) {
+    const askers = room.discussionOrder
+        .map(id => room.players.find(p => p.id === id))
+        .filter(p => p && isConnected(p));
+
+    return askers.map((asker, i) => ({
+        askerId: asker.id,
+        targetId: askers[(i + 1) % askers.length].id, // The next player in the list
+    }));
+}
+
+// Rebuilds the turns after someone drops out. The current asker keeps their turn;
+// if they were the one who left, the next asker starts theirs.
+function refreshDiscussionTurns(roomCode) {
+    const room = rooms[roomCode];
+    const currentAskerId = room.discussionTurns[room.currentTurnIndex]?.askerId;
+    room.discussionTurns = buildDiscussionTurns(room);
+
+    const keptIndex = room.discussionTurns.findIndex(turn => turn.askerId === currentAskerId);
+    if (keptIndex !== -1) {
+        room.currentTurnIndex = keptIndex;
+    } else {
+        room.currentTurnIndex %= room.discussionTurns.length;
+        startTurnTimer(roomCode);
+    }
+    room.discussionTurnsString = buildDiscussionTurnsString(room);
+}
+
+function buildDiscussionTurnsString(room) {
+    const nameOf = id => room.players.find(p => p.id === id)?.name;
+    let turns = room.discussionTurns.map(turn => `${nameOf(turn.askerId)} -> ${nameOf(turn.targetId)}`);
+
+    return turns.join(", "); // e.g., "King -> Speed, Speed -> Blaze, Blaze -> King"
+}
+
+function resetGame(roomCode) {
+    const room = rooms[roomCode];
+    if (room) {
+        clearPhaseTimer(roomCode);
+        clearTurnTimer(roomCode);
+        if (room.currentMatch) {
+            // The game was cut short; keep what was played
+            archiveMatch(room, room.currentMatch, false);
+            room.currentMatch = null;
+        }
+        room.gameStarted = false;
+        room.currentRound = 0;
+        room.roundState = "waiting";
+        room.word = "";
+        room.wordPackId = "";
+        room.wordCategory = "";
+        room.undercoverWord = "";
+        room.spyGuessOptions = [];
+        room.spies = [];
+        room.spyGuesses = {};
+        room.spyOutcomes = {};
+        room.scoreChanges = [];
+        room.tieBreak = null;
+        room.roundResult = null;
+        room.votes = {};
+        room.discussionOrder = [];
+        room.discussionTurns = [];
+        room.currentTurnIndex = 0;
+        room.discussionLap = 1;
+        room.chat = []; // Clear chat on game reset
+        room.players = getConnectedPlayers(room); // Back in the lobby, so drop anyone who disconnected
+        room.players.forEach(p => {
+            p.score = 0;
+            p.role = null;
+            p.word = null;
+        });
+        addSystemMessage(roomCode, "gameReset");
+        ensureHost(roomCode);
+        touchRoom(roomCode);
+    }
+}
+
+// Names are compared case- and whitespace-insensitively for bans
+function normalizeName(name) {
+    return String(name).trim().toLowerCase();
+}
+
+// A fresh seat at the table, for a new player or a promoted spectator
+function createPlayer(id, name, isHost) {
+    return {
+        id, name, score: 0, isHost, role: null, word: null,
+        presence: "active", lastSeen: Date.now(),
+        knowsFellowSpies: false, // When a spy, whether they see the other spies
+    };
+}
+
+// --- Spectators ---
+
+// A player or spectator of the room, by id
+function findMember(room, memberId) {
+    return room.players.find(p => p.id === memberId) || room.spectators.find(s => s.id === memberId);
+}
+
+function isSpectator(room, memberId) {
+    return room.spectators.some(s => s.id === memberId);
+}
+
+// --- Presence ---
+
+function isConnected(player) {
+    return player.presence !== "disconnected";
+}
+
+function getConnectedPlayers(room) {
+    return room.players.filter(isConnected);
+}
+
+// Connected players dealt into the current round. Someone who was away when it was
+// dealt has no role (see assignRolesAndWord) and sits it out, ballot included.
+function getRoundPlayers(room) {
+    return getConnectedPlayers(room).filter(p => p.role);
+}
+
+function hasEveryoneVoted(room) {
+    const ballots = getBallots(room);
+    return getRoundPlayers(room).every(p => ballots[p.id]);
+}
+
+function isBallotOpen(room) {
+    return room.roundState === "voting" || room.roundState === "runoff";
+}
+
+function getVoteStatus(room, player) {
+    if (!isBallotOpen(room) || !isConnected(player) || !player.role) return null;
+    const ballot = getBallots(room)[player.id];
+    return !ballot ? "pending" : ballot.length === 0 ? "abstained" : "voted";
+}
+
+// Where votes go right now: the runoff keeps its own ballots apart from the main vote
+function getBallots(room) {
+    return room.roundState === "runoff" ? room.tieBreak.votes : room.votes;
+}
+
+// Records a sign of life from a player (poll, socket heartbeat, action or rejoin)
+function markSeen(roomCode, player) {
+    player.lastSeen = Date.now();
+    if (player.presence === "active") return;
+
+    if (player.presence === "disconnected") {
+        addSystemMessage(roomCode, "playerReconnected", { name: player.name });
+    }
+    player.presence = "active";
+    ensureHost(roomCode);
+    touchRoom(roomCode);
+}
+
+// Makes sure a connected person holds the host role, passing it on if the host is gone
+function ensureHost(roomCode) {
+    const room = rooms[roomCode];
+    const host = room.players.find(p => p.isHost);
+    if (host && isConnected(host)) return;
+
+    const nextHost = getConnectedPlayers(room).find(p => !p.isBot); // Bots can't run the room
+    if (!nextHost) return;
+    if (host) host.isHost = false;
+    nextHost.isHost = true;
+    addSystemMessage(roomCode, "newHost", { name: nextHost.name });
+}
+
+// Takes a player who is no longer around out of the current round: their vote
+// and votes against them are dropped, the discussion flow skips them, and losing
+// every spy ends the round early. The caller decides whether they also leave
+// room.players.
+function releasePlayerFromRound(roomCode, player) {
+    const room = rooms[roomCode];
+    if (!room.gameStarted) return;
+
+    delete room.votes[player.id];
+    for (const voterId in room.votes) {
+        if (room.votes[voterId].includes(player.id)) delete room.votes[voterId]; // Those voters can vote again
+    }
+
+    const remaining = getConnectedPlayers(room).filter(p => p.id !== player.id);
+    if (remaining.length < 2) {
+        addSystemMessage(roomCode, "notEnoughLeft");
+        resetGame(roomCode);
+        return;
+    }
+
+    if (room.roundState === "spyGuess") {
+        // A caught spy who leaves forfeits their guess
+        if (room.spyGuesses[player.id] === null) recordSpyGuess(roomCode, player, null);
+        return;
+    }
+
+    if (room.spies.includes(player.id) && ["playing", "voting", "runoff", "hostDecision"].includes(room.roundState)) {
+        // The round goes on with the remaining spies; without any it can't be played
+        room.spies = room.spies.filter(id => id !== player.id);
+        if (!room.spies.some(id => remaining.some(p => p.id === id))) {
+            clearPhaseTimer(roomCode);
+            room.roundState = "ended";
+            const undercover = room.settings.mode === "undercover";
+            room.lastRoundResult = [
+                messagePart("spyLeftRoundVoid", { name: player.name, undercover }),
+                describeRoundWords(room),
+                messagePart("roundVoided"),
+            ];
+            addSystemParts(roomCode, room.lastRoundResult);
+            finishRound(roomCode);
+            return;
+        }
+        addSystemMessage(roomCode, "spyLeftRoundGoesOn", { undercover: room.settings.mode === "undercover" });
+    }
+
+    if (room.roundState === "playing") {
+        refreshDiscussionTurns(roomCode);
+        addSystemMessage(roomCode, "discussionFlowUpdated", { turns: describeDiscussionTurns(room) });
+    } else if (room.roundState === "voting" && hasEveryoneVoted(room)) {
+        resolveVoting(roomCode);
+    } else if (room.roundState === "runoff" || room.roundState === "hostDecision") {
+        releasePlayerFromTie(roomCode, player);
+    }
+}
+
+// A tied player who leaves drops out of the tie, and so do runoff votes for them.
+// Once no more players are tied than can be accused, they all are.
+function releasePlayerFromTie(roomCode, player) {
+    const room = rooms[roomCode];
+    const { tieBreak } = room;
+    delete tieBreak.votes[player.id];
+    for (const voterId in tieBreak.votes) {
+        if (tieBreak.votes[voterId].includes(player.id)) delete tieBreak.votes[voterId];
+    }
+    tieBreak.candidates = tieBreak.candidates.filter(id => id !== player.id);
+
+    if (tieBreak.candidates.length <= tieBreak.seats) {
+        clearPhaseTimer(roomCode);
+        tieBreak.chosen = tieBreak.candidates;
+        scoreRound(roomCode, [...tieBreak.accused, ...tieBreak.candidates], [...tieBreak.summary, messagePart("tieSettledByLeave", { name: player.name })]);
+    } else if (room.roundState === "runoff" && hasEveryoneVoted(room)) {
+        resolveRunoff(roomCode);
+    }
+}
+
+// Takes a player or spectator out of the room for good (leave, kick or ban).
+// messageKey is the system message announcing it, given the player's name.
+function removePlayer(roomCode, player, messageKey) {
+    const room = rooms[roomCode];
+    const wasPlaying = !isSpectator(room, player.id);
+    room.players = room.players.filter(p => p.id !== player.id);
+    room.spectators = room.spectators.filter(s => s.id !== player.id);
+    room.discussionOrder = room.discussionOrder.filter(id => id !== player.id);
+    addSystemMessage(roomCode, messageKey, { name: player.name });
+    chatRateLimiter.forget(`${roomCode}:${player.id}`);
+
+    if (wasPlaying) releasePlayerFromRound(roomCode, player);
+    ensureHost(roomCode);
+    disconnectPlayerSockets(roomCode, player.id, room.removedPlayers[player.id] || "left");
+    touchRoom(roomCode);
+}
+
+function handlePlayerDisconnected(roomCode, player) {
+    const room = rooms[roomCode];
+    player.presence = "disconnected";
+    addSystemMessage(roomCode, "playerDisconnected", { name: player.name });
+
+    if (isSpectator(room, player.id)) {
+        // Spectators have no seat to keep
+        room.spectators = room.spectators.filter(s => s.id !== player.id);
+    } else if (room.gameStarted) {
+        // Mid-game they keep their seat and score in case they come back
+        releasePlayerFromRound(roomCode, player);
+    } else {
+        room.players = room.players.filter(p => p.id !== player.id);
+    }
+    ensureHost(roomCode);
+    touchRoom(roomCode);
+}
+
+function sweepPresence() {
+    const now = Date.now();
+    for (const roomCode of Object.keys(rooms)) {
+        const room = rooms[roomCode];
+        for (const player of [...room.players, ...room.spectators]) {
+            if (player.isBot) continue; // Always there
+            const silentFor = now - player.lastSeen;
+            if (isConnected(player) && silentFor >= PRESENCE_SETTINGS.DISCONNECT_AFTER_MS) {
+                handlePlayerDisconnected(roomCode, player);
+            } else if (player.presence === "active" && silentFor >= PRESENCE_SETTINGS.IDLE_AFTER_MS) {
+                player.presence = "idle";
+                touchRoom(roomCode);
+            }
+        }
+    }
+}
+
+setInterval(sweepPresence, PRESENCE_SETTINGS.SWEEP_INTERVAL_MS);
+
+// --- Room Lifecycle ---
+
+const expiredRooms = new Map(); // { roomCode => expiredAt } so late visitors hear "expired", not "not found"
+
+// Why there's no room under this code, as an action result
+function missingRoom(roomCode) {
+    if (expiredRooms.has(roomCode)) {
+        return { status: 410, body: { error: "This room has expired because nobody was using it. Create a new room to keep playing.", reason: "expired" } };
+    }
+    if (!isValidRoomCode(normalizeRoomCode(roomCode))) {
+        return fail(400, `Room codes are ${ROOM_CODE_LENGTH} letters and digits.`);
+    }
+    return fail(404, "Room not found. Check the code, or create a new room.");
+}
+
+// Deletes the room for good: timers stop, subscribed sockets are told why, the store forgets it
+function expireRoom(roomCode) {
+    const room = rooms[roomCode];
+    clearPhaseTimer(roomCode);
+    clearTurnTimer(roomCode);
+    for (const member of [...room.players, ...room.spectators]) {
+        chatRateLimiter.forget(`${roomCode}:${member.id}`);
+    }
+
+    const socketIds = io.sockets.adapter.rooms.get(socketRoomName(roomCode));
+    for (const socketId of [...(socketIds ?? [])]) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket) continue;
+        socket.emit("removed", { reason: "expired" });
+        socket.leave(socketRoomName(roomCode));
+        socket.data = {};
+    }
+
+    delete rooms[roomCode];
+    delete botRuntimes[roomCode];
+    roomStore.remove(roomCode);
+    expiredRooms.set(roomCode, Date.now());
+    console.log(`Room ${roomCode} expired.`);
+}
+
+// Expires rooms that have been empty, or untouched, for too long
+function sweepRooms() {
+    const now = Date.now();
+    for (const [roomCode, expiredAt] of expiredRooms) {
+        if (now - expiredAt >= ROOM_SETTINGS.EXPIRED_MEMORY_MS) expiredRooms.delete(roomCode);
+    }
+
+    for (const roomCode of Object.keys(rooms)) {
+        const room = rooms[roomCode];
+        if ([...room.players, ...room.spectators].some(m => !m.isBot && isConnected(m))) { // Bots alone don't keep a room
+            room.emptySince = null;
+        } else {
+            room.emptySince ??= now;
+        }
+        const emptyTooLong = room.emptySince !== null && now - room.emptySince >= ROOM_SETTINGS.EMPTY_TTL_MS;
+        const idleTooLong = now - room.lastUpdateTimestamp >= ROOM_SETTINGS.IDLE_TTL_MS;
+        if (emptyTooLong || idleTooLong) expireRoom(roomCode);
+    }
+}
+
+setInterval(sweepRooms, ROOM_SETTINGS.SWEEP_INTERVAL_MS);
+
+// --- Bots ---
+
+// Bots check the room on a tick and take a moment before each move, so people can follow
+const BOT_SETTINGS = {
+    TICK_MS: 1000,
+    MIN_THINK_MS: 1500,
+    MAX_THINK_MS: 4000,
+    ASKER_PATIENCE_MS: 20 * 1000, // A bot asking a question moves on after this long without an answer
+};
+
+// { roomCode: { situation, since, thinkMs, turnChatStartId } }: what the bots last saw.
+// Not stored; after a restart bots pick up from the room as it is.
+const botRuntimes = Object.create(null);
+
+// Starts a fresh wait whenever the round, phase or question turn changes
+function trackBotSituation(roomCode, now) {
+    const room = rooms[roomCode];
+    const previous = botRuntimes[roomCode];
+    const situation = `${room.currentRound}:${room.roundState}:${room.discussionLap}:${room.currentTurnIndex}`;
+    if (previous?.situation === situation) return previous;
+
+    botRuntimes[roomCode] = {
+        situation,
+        since: now,
+        thinkMs: BOT_SETTINGS.MIN_THINK_MS + Math.random() * (BOT_SETTINGS.MAX_THINK_MS - BOT_SETTINGS.MIN_THINK_MS),
+        turnChatStartId: room.nextChatId,
+    };
+    return botRuntimes[roomCode];
+}
+
+// Where this round's chat starts: its "newRound" announcement, or everything left if that scrolled away
+function roundChatStartId(room) {
+    return room.chat.findLast(m => m.system && m.parts[0]?.key === "newRound")?.id ?? 0;
+}
+
+// What a bot knows about its word this round (null word for a classic spy)
+function describeBotWord(room, bot) {
+    const pack = findPack(room.customPacks, room.wordPackId);
+    return { word: bot.word, language: pack?.language, category: pack?.category };
+}
+
+// Player messages in the main chat since the given id
+function playerChatSince(room, chatId) {
+    return room.chat.filter(m => m.id >= chatId && !m.system && m.channel === "room");
+}
+
+function postBotMessage(roomCode, bot, text) {
+    addChatMessage(roomCode, bot.name, text, bot.id);
+    touchRoom(roomCode);
+}
+
+// Question turns: a bot asker asks and moves on once answered; a bot target answers
+function runBotDiscussion(roomCode, runtime, now) {
+    const room = rooms[roomCode];
+    const turn = room.discussionTurns[room.currentTurnIndex];
+    const asker = turn && room.players.find(p => p.id === turn.askerId);
+    const target = turn && room.players.find(p => p.id === turn.targetId);
+    if (!asker || !target) return;
+
+    const turnChat = playerChatSince(room, runtime.turnChatStartId);
+    const question = turnChat.find(m => m.playerId === asker.id);
+    const answer = question && turnChat.find(m => m.playerId === target.id && m.id > question.id);
+
+    if (asker.isBot && !question) {
+        postBotMessage(roomCode, asker, writeBotQuestion(describeBotWord(room, asker).language, target.name));
+    } else if (target.isBot && question && !answer && now - question.timestamp >= runtime.thinkMs) {
+        const saidThisRound = playerChatSince(room, roundChatStartId(room)).map(m => m.msg);
+        postBotMessage(roomCode, target, writeBotClue(describeBotWord(room, target), saidThisRound));
+    } else if (asker.isBot && question && (answer
+        ? now - answer.timestamp >= runtime.thinkMs
+        : now - question.timestamp >= BOT_SETTINGS.ASKER_PATIENCE_MS)) {
+        advanceTurn(roomCode);
+        touchRoom(roomCode);
+    }
+}
+
+// One bot votes per tick, through the same checks as everyone else's votes
+function runBotVote(roomCode) {
+    const room = rooms[roomCode];
+    const bot = getRoundPlayers(room).find(p => p.isBot && !getBallots(room)[p.id]);
+    if (!bot) return;
+
+    const runoff = room.roundState === "runoff";
+    const knownSpies = bot.role === "spy" && room.settings.mode === "classic" ? room.spies : [];
+    const candidates = (runoff ? room.tieBreak.candidates : getRoundPlayers(room).map(p => p.id))
+        .filter(id => id !== bot.id && !knownSpies.includes(id));
+    const answersById = {};
+    for (const m of playerChatSince(room, roundChatStartId(room))) {
+        (answersById[m.playerId] ??= []).push(m.msg);
+    }
+    const targetPlayerIds = chooseBotSuspects({
+        ...describeBotWord(room, bot),
+        candidates,
+        seats: Math.min(runoff ? room.tieBreak.seats : room.spies.length, candidates.length),
+        answersById,
+        ballots: room.settings.ballot === "open" ? getBallots(room) : null,
+    });
+    castVote(roomCode, targetPlayerIds.length > 0
+        ? { voterId: bot.id, targetPlayerIds }
+        : { voterId: bot.id, abstain: true });
+}
+
+// A caught spy bot guesses from the options, going by the round's answers
+function runBotGuess(roomCode) {
+    const room = rooms[roomCode];
+    const bot = room.players.find(p => p.isBot && room.spyGuesses[p.id] === null);
+    if (!bot) return;
+
+    const answers = playerChatSince(room, roundChatStartId(room)).map(m => m.msg);
+    const guess = chooseBotGuess(room.spyGuessOptions, describeBotWord(room, bot).language, answers);
+    submitSpyGuess(roomCode, { playerId: bot.id, guess });
+}
+
+function runBots() {
+    const now = Date.now();
+    for (const roomCode of Object.keys(rooms)) {
+        const room = rooms[roomCode];
+        if (!room.gameStarted || !room.players.some(p => p.isBot)) {
+            delete botRuntimes[roomCode];
+            continue;
+        }
+        const runtime = trackBotSituation(roomCode, now);
+        if (now - runtime.since < runtime.thinkMs) continue;
+
+        if (room.roundState === "playing") runBotDiscussion(roomCode, runtime, now);
+        else if (isBallotOpen(room)) runBotVote(roomCode);
+        else if (room.roundState === "spyGuess") runBotGuess(roomCode);
+    }
+}
+
+setInterval(runBots, BOT_SETTINGS.TICK_MS);
+
+// --- Startup ---
+
+// Brings a stored room back to life: players get a fresh presence grace period
+// (nobody could poll while the server was down) and running deadlines are re-armed.
+function restoreRoom(roomCode) {
+    const saved = rooms[roomCode];
+    const now = Date.now();
+    // Rooms saved by older versions lack the fields added since; they get the defaults
+    const room = {
+        ...createRoomDefaults(),
+        ...saved,
+        settings: { ...createDefaultSettings(), ...saved.settings },
+    };
+    rooms[roomCode] = room;
+    room.players = room.players.map(p => ({ ...createPlayer(p.id, p.name, p.isHost), ...p, lastSeen: now }));
+    room.spectators = room.spectators.map(s => ({ presence: "active", ...s, lastSeen: now }));
+    if (saved.nextChatId === undefined) {
+        // Saved before chat messages had ids
+        room.chat.forEach((m, i) => {
+            m.id = i + 1;
+        });
+        room.nextChatId = room.chat.length + 1;
+    }
+    if (room.phaseEndsAt) {
+        armPhaseTimer(roomCode);
+    }
+    if (room.turnEndsAt) {
+        armTurnTimer(roomCode);
+    }
+}
+
+async function startServer() {
+    if (!process.env.SESSION_SECRET) {
+        setSessionSecret(await roomStore.getSessionSecret());
+    }
+    Object.assign(rooms, await roomStore.loadAll());
+    for (const roomCode of Object.keys(rooms)) {
+        restoreRoom(roomCode);
+    }
+    console.log(`Room store: ${roomStore.name}, ${Object.keys(rooms).length} room(s) restored.`);
+
+    const PORT = 3000;
+    server.listen(PORT, '0.0.0.0', () => console.log(`HTTP Server running on http://0.0.0.0:${PORT}`));
+}
 
-const PORT = 3000;
-server.listen(PORT, '0.0.0.0', () => console.log(`HTTP Server running on http://0.0.0.0:${PORT}`));
\ No newline at end of file
+startServer();
\ No newline at end of file
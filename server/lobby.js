@@ -0,0 +1,82 @@
+// Finding and getting into rooms: server-generated room codes, public/private
+// visibility, optional room passwords and what the public room list shows.
+import crypto from "crypto";
+import { findPack } from "./wordPacks.js";
+
+// Codes avoid look-alike characters (0/O, 1/I) so they're easy to read out
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const ROOM_CODE_LENGTH = 5;
+
+// "public" rooms are listed in the lobby browser until their game starts;
+// "private" rooms can only be joined by code.
+export const ROOM_VISIBILITIES = ["public", "private"];
+
+export const ROOM_PASSWORD_MAX_LENGTH = 64;
+
+// A fresh code that isTaken(code) says no room uses yet
+export function generateRoomCode(isTaken) {
+    for (;;) {
+        let code = "";
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+        }
+        if (!isTaken(code)) return code;
+    }
+}
+
+// Whether a normalized code has the shape generateRoomCode gives out
+export function isValidRoomCode(code) {
+    return code.length === ROOM_CODE_LENGTH && [...code].every(c => ROOM_CODE_ALPHABET.includes(c));
+}
+
+// Typed codes are matched case- and whitespace-insensitively
+export function normalizeRoomCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+// Checks the access options of a new room. Returns { visibility, passwordHash } or { error }.
+// An empty password means no password.
+export function parseRoomAccess({ visibility = "public", password = "" } = {}) {
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+        return { error: `visibility must be one of: ${ROOM_VISIBILITIES.join(", ")}.` };
+    }
+    if (typeof password !== "string" || password.length > ROOM_PASSWORD_MAX_LENGTH) {
+        return { error: `The room password can be at most ${ROOM_PASSWORD_MAX_LENGTH} characters.` };
+    }
+    return { visibility, passwordHash: password ? hashRoomPassword(password) : null };
+}
+
+// Stored as "salt:hash" (hex, scrypt); the password itself is never kept
+function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString("hex")}`;
+}
+
+// Whether the given password opens a room with this hash (null = no password needed)
+export function checkRoomPassword(passwordHash, password) {
+    if (!passwordHash) return true;
+    if (typeof password !== "string") return false;
+    const [salt, hash] = passwordHash.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(password, salt, 32);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+export function isListed(room) {
+    return room.visibility === "public" && !room.gameStarted;
+}
+
+// One room in the public list: who's there and what they'll be playing with
+export function describeListedRoom(roomCode, room) {
+    const packs = room.settings.wordPackIds.map(id => findPack(room.customPacks, id)).filter(Boolean);
+    return {
+        roomCode,
+        hostName: room.players.find(p => p.isHost)?.name ?? null,
+        playerCount: room.players.filter(p => p.presence !== "disconnected").length,
+        spectatorCount: room.spectators.length,
+        mode: room.settings.mode,
+        wordPacks: packs.map(pack => ({ id: pack.id, name: pack.name, language: pack.language })),
+        languages: [...new Set(packs.map(pack => pack.language))],
+        hasPassword: Boolean(room.passwordHash),
+    };
+}
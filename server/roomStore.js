@@ -0,0 +1,104 @@
+// Room persistence. The game always works on the in-memory `rooms` object;
+// a store snapshots rooms as they change and hands them back on startup.
+//
+// Every store implements:
+//   loadAll()               -> Promise<{ [roomCode]: room }>
+//   save(roomCode, room)    -> snapshot one room (fire and forget)
+//   remove(roomCode)        -> forget one room (fire and forget)
+//   getSessionSecret()      -> Promise<string>, stable for as long as the rooms are
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Default: nothing outlives the process, same as before stores existed
+export function createMemoryRoomStore() {
+    const sessionSecret = crypto.randomBytes(32).toString("hex");
+    return {
+        name: "memory",
+        async loadAll() {
+            return {};
+        },
+        save() {},
+        remove() {},
+        async getSessionSecret() {
+            return sessionSecret;
+        },
+    };
+}
+
+// One JSON file per room under <dir>/rooms, written atomically (temp file + rename).
+// The session secret lives next to them so tokens stay valid across restarts.
+export function createFileRoomStore(dir) {
+    const roomsDir = path.join(dir, "rooms");
+    const secretFile = path.join(dir, "session-secret");
+    const writeQueues = {}; // { roomCode: Promise } keeps each room's writes in order
+
+    function roomFile(roomCode) {
+        return path.join(roomsDir, `${encodeURIComponent(roomCode)}.json`);
+    }
+
+    function enqueue(roomCode, task) {
+        const previous = writeQueues[roomCode] || Promise.resolve();
+        const next = previous
+            .then(task)
+            .catch(error => console.error(`Failed to persist room ${roomCode}:`, error));
+        writeQueues[roomCode] = next;
+        next.then(() => {
+            if (writeQueues[roomCode] === next) delete writeQueues[roomCode];
+        });
+    }
+
+    return {
+        name: "file",
+        async loadAll() {
+            await fs.mkdir(roomsDir, { recursive: true });
+            const rooms = Object.create(null);
+            for (const fileName of await fs.readdir(roomsDir)) {
+                if (!fileName.endsWith(".json")) continue;
+                try {
+                    const { roomCode, room } = JSON.parse(await fs.readFile(path.join(roomsDir, fileName), "utf8"));
+                    rooms[roomCode] = room;
+                } catch (error) {
+                    console.error(`Skipping unreadable room file ${fileName}:`, error.message);
+                }
+            }
+            return rooms;
+        },
+        save(roomCode, room) {
+            // Serialize now so later mutations can't leak into this snapshot
+            const json = JSON.stringify({ roomCode, room });
+            enqueue(roomCode, async () => {
+                const file = roomFile(roomCode);
+                const tempFile = `${file}.tmp`;
+                await fs.mkdir(roomsDir, { recursive: true });
+                await fs.writeFile(tempFile, json);
+                await fs.rename(tempFile, file);
+            });
+        },
+        remove(roomCode) {
+            enqueue(roomCode, () => fs.rm(roomFile(roomCode), { force: true }));
+        },
+        async getSessionSecret() {
+            try {
+                return (await fs.readFile(secretFile, "utf8")).trim();
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            }
+            const secret = crypto.randomBytes(32).toString("hex");
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(secretFile, secret, { mode: 0o600 });
+            return secret;
+        },
+    };
+}
+
+// Picks the store from the environment: ROOM_STORE=file (with ROOM_STORE_DIR) or the memory default
+export function createRoomStoreFromEnv(env = process.env) {
+    if (env.ROOM_STORE === "file") {
+        return createFileRoomStore(env.ROOM_STORE_DIR || "./data");
+    }
+    if (env.ROOM_STORE && env.ROOM_STORE !== "memory") {
+        throw new Error(`Unknown ROOM_STORE "${env.ROOM_STORE}". Use "memory" or "file".`);
+    }
+    return createMemoryRoomStore();
+}
@@ -0,0 +1,112 @@
+// Scoring rule sets: how a settled round turns into points. The host picks one
+// per room (settings.scoring). Every rule set returns score changes rather than
+// touching scores itself, each with a reason so players can see where points came from.
+//
+// A score change: { playerId, points, reason, count?, fromId? }
+//   markedSpies     civilian (or undercover player), `count` spies marked
+//   unanimousCatch  civilian, bonus for a spy every civilian voted for
+//   escaped         spy, not accused
+//   stolenBySpy     civilian (negative), a spy they missed (`fromId`) took points
+//   stoleFromTable  spy, total taken from `count` civilians
+//   guessedWord     caught spy who guessed the word
+//
+// Rule sets see the round as plain data:
+//   { players: [{ id, role, score, connected }], votes: { voterId: [targetIds] },
+//     spyIds, caughtIds, settings }
+
+// Whether a player's votes earn points for the spies they mark. Undercover players
+// never knew their side and hunted the odd ones out like everyone else, so their
+// votes for the other undercover players count the same way.
+function votesForSpies(round, player) {
+    return player.role === "civilian" || round.settings.mode === "undercover";
+}
+
+// The original rules: civilian points per spy marked, spy points for each spy who escapes
+function scoreClassicVotes(round) {
+    const { settings } = round;
+    const changes = [];
+    for (const p of round.players) {
+        if (!votesForSpies(round, p)) continue;
+        const spiesMarked = (round.votes[p.id] || []).filter(id => id !== p.id && round.spyIds.includes(id)).length;
+        if (spiesMarked > 0) {
+            changes.push({ playerId: p.id, points: spiesMarked * settings.civilianPoints, reason: "markedSpies", count: spiesMarked });
+        }
+    }
+    for (const spyId of round.spyIds) {
+        if (!round.caughtIds.includes(spyId)) {
+            changes.push({ playerId: spyId, points: settings.spyPoints, reason: "escaped" });
+        }
+    }
+    return changes;
+}
+
+// Classic, plus bonus points for every civilian when all of them (still connected) voted for a caught spy
+function scoreUnanimousBonusVotes(round) {
+    const changes = scoreClassicVotes(round);
+    const civilians = round.players.filter(p => p.role === "civilian" && p.connected);
+    for (const spyId of round.caughtIds) {
+        const unanimous = civilians.length > 0 && civilians.every(p => (round.votes[p.id] || []).includes(spyId));
+        if (!unanimous) continue;
+        for (const p of civilians) {
+            changes.push({ playerId: p.id, points: round.settings.bonusPoints, reason: "unanimousCatch" });
+        }
+    }
+    return changes;
+}
+
+// Classic, plus every spy who escapes takes bonus points from each civilian who
+// didn't vote for them. Nobody is taken below 0.
+function scoreSpyStealsVotes(round) {
+    const changes = scoreClassicVotes(round);
+    const running = Object.fromEntries(round.players.map(p => [p.id, p.score]));
+    changes.forEach(change => {
+        running[change.playerId] += change.points;
+    });
+
+    for (const spyId of round.spyIds) {
+        if (round.caughtIds.includes(spyId)) continue;
+        let stolen = 0;
+        let victims = 0;
+        for (const p of round.players) {
+            if (p.role !== "civilian" || (round.votes[p.id] || []).includes(spyId)) continue;
+            const points = Math.min(round.settings.bonusPoints, running[p.id]);
+            if (points <= 0) continue;
+            running[p.id] -= points;
+            stolen += points;
+            victims++;
+            changes.push({ playerId: p.id, points: -points, reason: "stolenBySpy", fromId: spyId });
+        }
+        if (stolen > 0) {
+            changes.push({ playerId: spyId, points: stolen, reason: "stoleFromTable", count: victims });
+        }
+    }
+    return changes;
+}
+
+// Same for every rule set so far: a caught spy who names the word takes the guess points
+function scoreSpyGuess(round, spyId) {
+    return [{ playerId: spyId, points: round.settings.spyGuessPoints, reason: "guessedWord" }];
+}
+
+export const SCORING_RULES = {
+    classic: { scoreVotes: scoreClassicVotes, scoreSpyGuess },
+    unanimousBonus: { scoreVotes: scoreUnanimousBonusVotes, scoreSpyGuess },
+    spySteals: { scoreVotes: scoreSpyStealsVotes, scoreSpyGuess },
+};
+
+export const SCORING_RULE_IDS = Object.keys(SCORING_RULES);
+
+// Rooms saved before rule sets existed have no setting and score the classic way
+function findRuleSet(ruleSetId) {
+    return SCORING_RULES[ruleSetId] || SCORING_RULES.classic;
+}
+
+// Score changes for the votes of a settled round, under the given rule set
+export function scoreVotes(ruleSetId, round) {
+    return findRuleSet(ruleSetId).scoreVotes(round);
+}
+
+// Score changes for a caught spy's correct guess, under the given rule set
+export function scoreCorrectGuess(ruleSetId, round, spyId) {
+    return findRuleSet(ruleSetId).scoreSpyGuess(round, spyId);
+}
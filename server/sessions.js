@@ -0,0 +1,43 @@
+// Signed session tokens: let a player who refreshes or loses their connection
+// rejoin as the same player instead of a new one.
+import crypto from "crypto";
+
+// Tokens signed with a random secret stop working when the server restarts.
+// SESSION_SECRET, or a secret kept by the room store, keeps them valid across restarts.
+let sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+export function setSessionSecret(secret) {
+    sessionSecret = secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac("sha256", sessionSecret).update(payload).digest("base64url");
+}
+
+// Token format: base64url(JSON { roomCode, playerId }) + "." + HMAC signature
+export function createSessionToken(roomCode, playerId) {
+    const payload = Buffer.from(JSON.stringify({ roomCode, playerId })).toString("base64url");
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns { roomCode, playerId } for a genuine token, null for anything else
+export function verifySessionToken(token) {
+    if (typeof token !== "string") return null;
+    const parts = token.split(".");
+    if (parts.length !== 2) return null; // Anything after a second "." would go unsigned
+    const [payload, signature] = parts;
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const { roomCode, playerId } = JSON.parse(Buffer.from(payload, "base64url").toString());
+        return typeof roomCode === "string" && typeof playerId === "string" ? { roomCode, playerId } : null;
+    } catch {
+        return null;
+    }
+}
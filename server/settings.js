@@ -0,0 +1,115 @@
+// Per-room game settings: defaults, limits and validation of host edits.
+import { SCORING_RULE_IDS } from "./scoring.js";
+import { DEFAULT_WORD_PACK_IDS, findPack } from "./wordPacks.js";
+
+// "classic": the spies get no word and know it. "undercover": they get a word
+// similar to everyone else's and nobody learns their role until the reveal.
+export const GAME_MODES = ["classic", "undercover"];
+
+// How a tie for the last accusation is settled: a runoff vote between the tied
+// players, nobody in the tie is accused ("spyWins"), or the host picks.
+export const TIE_POLICIES = ["runoff", "spyWins", "hostDecides"];
+
+// "secret": only whether each player has voted is public. "open": votes show live.
+export const BALLOT_TYPES = ["secret", "open"];
+
+// Settings that take one of a fixed set of values
+export const SETTING_CHOICES = {
+    mode: GAME_MODES,
+    tiePolicy: TIE_POLICIES,
+    ballot: BALLOT_TYPES,
+    scoring: SCORING_RULE_IDS, // See scoring.js
+};
+
+export const DEFAULT_ROOM_SETTINGS = {
+    mode: "classic",
+    tiePolicy: "runoff",
+    ballot: "secret",
+    scoring: "classic",
+    maxRounds: 3,
+    spyCount: 1,
+    voteThresholdPercent: 50, // Share of players who must vote for someone to accuse them (50 = half or more)
+    civilianPoints: 1, // For each spy voted for
+    spyPoints: 1, // For each spy who escapes
+    spyGuessPoints: 1, // For a caught spy who still guesses the word
+    bonusPoints: 1, // Unanimous-catch bonus, or what an escaping spy steals, depending on the scoring rules
+    discussionSeconds: 0, // 0 = no time limit
+    votingSeconds: 0, // 0 = no time limit
+    turnSeconds: 0, // Per question turn, 0 = no time limit
+    discussionLaps: 0, // Full rounds of questions before voting opens, 0 = the host opens it
+    wordPackIds: DEFAULT_WORD_PACK_IDS,
+};
+
+// Inclusive integer ranges. Timers and laps also accept 0 for "no limit".
+export const SETTINGS_LIMITS = {
+    maxRounds: { min: 1, max: 20 },
+    spyCount: { min: 1, max: 4 }, // Must also stay below the number of players, checked at game start
+    voteThresholdPercent: { min: 1, max: 100 },
+    civilianPoints: { min: 0, max: 10 },
+    spyPoints: { min: 0, max: 10 },
+    spyGuessPoints: { min: 0, max: 10 },
+    bonusPoints: { min: 0, max: 10 },
+    discussionSeconds: { min: 30, max: 1800, allowZero: true },
+    votingSeconds: { min: 15, max: 600, allowZero: true },
+    turnSeconds: { min: 10, max: 300, allowZero: true },
+    discussionLaps: { min: 1, max: 10, allowZero: true },
+};
+
+export function createDefaultSettings() {
+    return { ...DEFAULT_ROOM_SETTINGS, wordPackIds: [...DEFAULT_ROOM_SETTINGS.wordPackIds] };
+}
+
+// Votes needed to catch a spy with the given number of players
+export function votesNeededToCatch(settings, totalPlayers) {
+    return Math.ceil(totalPlayers * settings.voteThresholdPercent / 100);
+}
+
+function validateWordPackIds(packIds, customPacks) {
+    if (!Array.isArray(packIds) || packIds.length === 0) {
+        return { error: "Choose at least one word pack." };
+    }
+    const uniqueIds = [...new Set(packIds)];
+    if (!uniqueIds.every(id => typeof id === "string" && findPack(customPacks, id))) {
+        return { error: "Unknown word pack." };
+    }
+    return { value: uniqueIds };
+}
+
+// Validates a partial settings object against the current settings.
+// Returns { settings } with the merged result, or { error } describing the first bad field.
+export function applySettingsPatch(current, patch, customPacks) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+        return { error: "Settings must be an object." };
+    }
+
+    // Keys come from the client: only the tables' own keys count, never inherited ones like "toString"
+    const settings = { ...current };
+    for (const [key, value] of Object.entries(patch)) {
+        if (Object.hasOwn(SETTING_CHOICES, key)) {
+            if (!SETTING_CHOICES[key].includes(value)) {
+                return { error: `${key} must be one of: ${SETTING_CHOICES[key].join(", ")}.` };
+            }
+            settings[key] = value;
+            continue;
+        }
+        if (key === "wordPackIds") {
+            const { value: packIds, error } = validateWordPackIds(value, customPacks);
+            if (error) return { error };
+            settings.wordPackIds = packIds;
+            continue;
+        }
+
+        const limits = Object.hasOwn(SETTINGS_LIMITS, key) ? SETTINGS_LIMITS[key] : null;
+        if (!limits) {
+            return { error: `Unknown setting: ${key}` };
+        }
+        const inRange = Number.isInteger(value)
+            && ((value >= limits.min && value <= limits.max) || (limits.allowZero && value === 0));
+        if (!inRange) {
+            const zeroNote = limits.allowZero ? " (or 0 for no limit)" : "";
+            return { error: `${key} must be a whole number between ${limits.min} and ${limits.max}${zeroNote}.` };
+        }
+        settings[key] = value;
+    }
+    return { settings };
+}
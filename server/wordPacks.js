@@ -0,0 +1,276 @@
+// Word packs: each pack is a themed word list in one language.
+// Rooms pick one or more packs; every round draws its secret word from them.
+// Packs may also carry `pairs` of similar words for undercover rounds.
+
+export const WORD_PACK_LIMITS = {
+    MIN_WORDS: 5,
+    MAX_WORDS: 500,
+    MAX_WORD_LENGTH: 40,
+    MAX_NAME_LENGTH: 40,
+    MAX_CUSTOM_PACKS_PER_ROOM: 5,
+};
+
+export const DEFAULT_WORD_PACK_IDS = ["en-animals"];
+
+export const BUILT_IN_PACKS = [
+    {
+        id: "en-animals", name: "Animals", language: "en", category: "animals",
+        words: [
+            "Cat", "Dog", "Elephant", "Lion", "Monkey", "Rabbit", "Chicken", "Horse", "Shark", "Eagle",
+            "Tiger", "Wolf", "Fox", "Bear", "Deer", "Giraffe", "Zebra", "Kangaroo", "Panda", "Dolphin",
+            "Whale", "Penguin", "Crocodile", "Snake", "Frog", "Turtle", "Parrot", "Owl", "Peacock", "Camel",
+            "Goat", "Sheep", "Cow", "Pig", "Mouse", "Rat", "Squirrel", "Hedgehog", "Bee", "Butterfly",
+        ],
+        pairs: [
+            ["Cat", "Tiger"], ["Dog", "Wolf"], ["Horse", "Zebra"], ["Dolphin", "Shark"], ["Rabbit", "Squirrel"],
+            ["Eagle", "Owl"], ["Frog", "Turtle"], ["Camel", "Giraffe"], ["Sheep", "Goat"], ["Bee", "Butterfly"],
+        ],
+    },
+    {
+        id: "ar-animals", name: "حيوانات", language: "ar", category: "animals",
+        words: [
+            "قطة", "كلب", "فيل", "أسد", "قرد", "أرنب", "دجاجة", "حصان", "قرش", "نسر",
+            "نمر", "ذئب", "ثعلب", "دب", "غزال", "زرافة", "حمار وحشي", "كنغر", "باندا", "دلفين",
+            "حوت", "بطريق", "تمساح", "ثعبان", "ضفدع", "سلحفاة", "ببغاء", "بومة", "طاووس", "جمل",
+            "ماعز", "خروف", "بقرة", "فأر", "سنجاب", "قنفذ", "نحلة", "فراشة",
+        ],
+        pairs: [
+            ["قطة", "نمر"], ["كلب", "ذئب"], ["حصان", "حمار وحشي"], ["دلفين", "قرش"], ["أرنب", "سنجاب"],
+            ["نسر", "بومة"], ["ضفدع", "سلحفاة"], ["جمل", "زرافة"], ["خروف", "ماعز"], ["نحلة", "فراشة"],
+        ],
+    },
+    {
+        id: "en-foods", name: "Foods", language: "en", category: "foods",
+        words: [
+            "Pizza", "Burger", "Couscous", "Falafel", "Shawarma", "Sushi", "Pasta", "Rice", "Bread", "Cheese",
+            "Chocolate", "Ice Cream", "Soup", "Salad", "Kebab", "Pancake", "Omelette", "Dates", "Hummus", "Tajine",
+            "Sandwich", "Cake", "Cookie", "Yogurt", "Honey",
+        ],
+        pairs: [
+            ["Pizza", "Burger"], ["Falafel", "Hummus"], ["Shawarma", "Kebab"], ["Couscous", "Rice"], ["Cake", "Cookie"],
+            ["Ice Cream", "Yogurt"], ["Soup", "Salad"], ["Pancake", "Omelette"], ["Honey", "Dates"], ["Sandwich", "Bread"],
+        ],
+    },
+    {
+        id: "ar-foods", name: "أكلات", language: "ar", category: "foods",
+        words: [
+            "بيتزا", "برغر", "كسكس", "فلافل", "شاورما", "سوشي", "معكرونة", "أرز", "خبز", "جبن",
+            "شوكولاتة", "بوظة", "شوربة", "سلطة", "كباب", "فطائر", "عجة", "تمر", "حمص", "طاجين",
+            "ساندويتش", "كعكة", "بسكويت", "لبن", "عسل",
+        ],
+        pairs: [
+            ["بيتزا", "برغر"], ["فلافل", "حمص"], ["شاورما", "كباب"], ["كسكس", "أرز"], ["كعكة", "بسكويت"],
+            ["بوظة", "لبن"], ["شوربة", "سلطة"], ["فطائر", "عجة"], ["عسل", "تمر"], ["ساندويتش", "خبز"],
+        ],
+    },
+    {
+        id: "en-places", name: "Places", language: "en", category: "places",
+        words: [
+            "Airport", "Hospital", "School", "Beach", "Desert", "Mosque", "Library", "Stadium", "Cinema", "Restaurant",
+            "Bank", "Market", "Museum", "Zoo", "Park", "Hotel", "Pharmacy", "Bakery", "Mountain", "Forest",
+            "Train Station", "Supermarket", "Gym", "Police Station", "Farm",
+        ],
+        pairs: [
+            ["Airport", "Train Station"], ["Hospital", "Pharmacy"], ["School", "Library"], ["Beach", "Desert"], ["Cinema", "Stadium"],
+            ["Market", "Supermarket"], ["Museum", "Zoo"], ["Mountain", "Forest"], ["Hotel", "Restaurant"], ["Bakery", "Farm"],
+        ],
+    },
+    {
+        id: "ar-places", name: "أماكن", language: "ar", category: "places",
+        words: [
+            "مطار", "مستشفى", "مدرسة", "شاطئ", "صحراء", "مسجد", "مكتبة", "ملعب", "سينما", "مطعم",
+            "بنك", "سوق", "متحف", "حديقة حيوانات", "حديقة", "فندق", "صيدلية", "مخبزة", "جبل", "غابة",
+            "محطة قطار", "سوبرماركت", "نادي رياضي", "مركز شرطة", "مزرعة",
+        ],
+        pairs: [
+            ["مطار", "محطة قطار"], ["مستشفى", "صيدلية"], ["مدرسة", "مكتبة"], ["شاطئ", "صحراء"], ["سينما", "ملعب"],
+            ["سوق", "سوبرماركت"], ["متحف", "حديقة حيوانات"], ["جبل", "غابة"], ["فندق", "مطعم"], ["مخبزة", "مزرعة"],
+        ],
+    },
+    {
+        id: "en-jobs", name: "Jobs", language: "en", category: "jobs",
+        words: [
+            "Doctor", "Teacher", "Engineer", "Pilot", "Chef", "Farmer", "Police Officer", "Firefighter", "Nurse", "Lawyer",
+            "Dentist", "Barber", "Mechanic", "Carpenter", "Painter", "Journalist", "Programmer", "Pharmacist", "Baker", "Tailor",
+            "Driver", "Photographer", "Accountant", "Electrician", "Plumber",
+        ],
+        pairs: [
+            ["Doctor", "Nurse"], ["Teacher", "Journalist"], ["Pilot", "Driver"], ["Chef", "Baker"], ["Police Officer", "Firefighter"],
+            ["Dentist", "Pharmacist"], ["Carpenter", "Mechanic"], ["Painter", "Photographer"], ["Electrician", "Plumber"], ["Lawyer", "Accountant"],
+        ],
+    },
+    {
+        id: "ar-jobs", name: "مهن", language: "ar", category: "jobs",
+        words: [
+            "طبيب", "معلم", "مهندس", "طيار", "طباخ", "فلاح", "شرطي", "رجل إطفاء", "ممرض", "محامي",
+            "طبيب أسنان", "حلاق", "ميكانيكي", "نجار", "رسام", "صحفي", "مبرمج", "صيدلي", "خباز", "خياط",
+            "سائق", "مصور", "محاسب", "كهربائي", "سباك",
+        ],
+        pairs: [
+            ["طبيب", "ممرض"], ["معلم", "صحفي"], ["طيار", "سائق"], ["طباخ", "خباز"], ["شرطي", "رجل إطفاء"],
+            ["طبيب أسنان", "صيدلي"], ["نجار", "ميكانيكي"], ["رسام", "مصور"], ["كهربائي", "سباك"], ["محامي", "محاسب"],
+        ],
+    },
+];
+
+// Pack metadata suitable for sending to clients (word lists stay on the server)
+export function describePack(pack) {
+    return {
+        id: pack.id,
+        name: pack.name,
+        language: pack.language,
+        category: pack.category,
+        wordCount: pack.words.length,
+        pairCount: pack.pairs?.length || 0,
+        custom: Boolean(pack.custom),
+    };
+}
+
+// Looks a pack up among the built-ins and the room's own uploads
+export function findPack(customPacks, packId) {
+    // Own keys only: ids like "constructor" must not find Object.prototype members
+    return BUILT_IN_PACKS.find(p => p.id === packId) || (Object.hasOwn(customPacks, packId) ? customPacks[packId] : null);
+}
+
+// Picks a random word from the union of the given packs, weighted by pack size
+export function drawWord(packs) {
+    const entries = packs.flatMap(pack => pack.words.map(word => ({ word, pack })));
+    return entries[Math.floor(Math.random() * entries.length)];
+}
+
+// Picks a random pair from the given packs' word pairs, in random order:
+// { civilianWord, undercoverWord, pack }. Null when none of the packs has pairs.
+export function drawWordPair(packs) {
+    const entries = packs.flatMap(pack => (pack.pairs || []).map(pair => ({ pair, pack })));
+    if (entries.length === 0) return null;
+    const { pair, pack } = entries[Math.floor(Math.random() * entries.length)];
+    const [civilianWord, undercoverWord] = shuffle(pair);
+    return { civilianWord, undercoverWord, pack };
+}
+
+// Splits CSV text into words: one word per cell, quotes stripped, an optional
+// "word"/"words" header row skipped.
+function parseCsvWords(content) {
+    const rows = content.split(/\r?\n/).map(line => line.split(","));
+    if (rows.length && /^words?$/i.test(rows[0][0]?.trim().replace(/^"|"$/g, ""))) {
+        rows.shift();
+    }
+    return rows.flat().map(cell => cell.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+// Parses and validates a host-uploaded pack.
+// JSON may be a bare array of words or { name, language, category, words, pairs? },
+// where pairs are [word, similarWord] for undercover rounds.
+// Returns { pack } on success or { error } with a message for the host.
+export function parseCustomPack({ format, content, name, language, category }) {
+    if (typeof content !== "string" || !content.trim()) {
+        return { error: "Pack content is required." };
+    }
+
+    let words;
+    let pairs = [];
+    const meta = { name, language, category };
+    if (format === "json") {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch {
+            return { error: "Pack content is not valid JSON." };
+        }
+        if (Array.isArray(parsed)) {
+            words = parsed;
+        } else if (parsed && Array.isArray(parsed.words)) {
+            words = parsed.words;
+            pairs = parsed.pairs ?? [];
+            meta.name = meta.name || parsed.name;
+            meta.language = meta.language || parsed.language;
+            meta.category = meta.category || parsed.category;
+        } else {
+            return { error: "JSON packs must be an array of words or an object with a \"words\" array." };
+        }
+    } else if (format === "csv") {
+        words = parseCsvWords(content);
+    } else {
+        return { error: "Pack format must be \"json\" or \"csv\"." };
+    }
+
+    if (!words.every(w => typeof w === "string")) {
+        return { error: "Every word must be a string." };
+    }
+    words = [...new Set(words.map(w => w.trim()).filter(Boolean))];
+
+    if (words.length < WORD_PACK_LIMITS.MIN_WORDS) {
+        return { error: `A pack needs at least ${WORD_PACK_LIMITS.MIN_WORDS} distinct words.` };
+    }
+    if (words.length > WORD_PACK_LIMITS.MAX_WORDS) {
+        return { error: `A pack can have at most ${WORD_PACK_LIMITS.MAX_WORDS} words.` };
+    }
+    if (words.some(w => w.length > WORD_PACK_LIMITS.MAX_WORD_LENGTH)) {
+        return { error: `Words can be at most ${WORD_PACK_LIMITS.MAX_WORD_LENGTH} characters long.` };
+    }
+
+    const validPairs = Array.isArray(pairs) && pairs.every(pair =>
+        Array.isArray(pair) && pair.length === 2 && pair.every(w => typeof w === "string" && w.trim())
+        && pair[0].trim() !== pair[1].trim());
+    if (!validPairs) {
+        return { error: "Pairs must be a list of two different words each, like [\"Tea\", \"Coffee\"]." };
+    }
+    if (pairs.length > WORD_PACK_LIMITS.MAX_WORDS) {
+        return { error: `A pack can have at most ${WORD_PACK_LIMITS.MAX_WORDS} pairs.` };
+    }
+    if (pairs.flat().some(w => w.trim().length > WORD_PACK_LIMITS.MAX_WORD_LENGTH)) {
+        return { error: `Words can be at most ${WORD_PACK_LIMITS.MAX_WORD_LENGTH} characters long.` };
+    }
+
+    const packLanguage = String(meta.language || "ar").trim().toLowerCase();
+    if (!/^[a-z]{2}$/.test(packLanguage)) {
+        return { error: "Language must be a two-letter code such as \"ar\" or \"en\"." };
+    }
+    const packName = String(meta.name || "Custom").trim().slice(0, WORD_PACK_LIMITS.MAX_NAME_LENGTH);
+    const packCategory = String(meta.category || "custom").trim().slice(0, WORD_PACK_LIMITS.MAX_NAME_LENGTH);
+
+    return {
+        pack: {
+            name: packName,
+            language: packLanguage,
+            category: packCategory,
+            words,
+            pairs: pairs.map(pair => pair.map(w => w.trim())),
+            custom: true,
+        },
+    };
+}
+
+// Normalizes a guess for forgiving comparison: case, Arabic diacritics and
+// tatweel, alef/hamza/ta marbuta/alef maqsura variants, punctuation and spacing.
+export function normalizeWord(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize("NFKC")
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, "")
+        .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627")
+        .replace(/\u0629/g, "\u0647")
+        .replace(/\u0649/g, "\u064A")
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim();
+}
+
+// Multiple-choice options for a caught spy's guess: the secret word plus decoys
+// from packs with the same category and language, shuffled.
+export function buildGuessOptions(customPacks, pack, word, count = 6) {
+    const related = [...BUILT_IN_PACKS, ...Object.values(customPacks)]
+        .filter(p => p.category === pack.category && p.language === pack.language);
+    const decoys = [...new Set(related.flatMap(p => p.words))].filter(w => w !== word);
+
+    const options = [word, ...shuffle(decoys).slice(0, count - 1)];
+    return shuffle(options);
+}
+
+export function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}